@@ -0,0 +1,213 @@
+/**
+ * AUTOMATION-RUNTIME.JS - SHARED BY THE REPO SCRIPTS
+ * ⚙️ Command-line options (--name value, --name=value, --flag)
+ * 📋 Run report for --json / --report <file>
+ * 📁 Runtime: root directory, fs and the script's providers (git, clock, ...),
+ *    swappable per call so the scripts work as libraries
+ * 🖼️ Page base URL: where chapter images are served (scaffold writes it, verify checks it)
+ *
+ * Used by manga-automation.js and encrypt-manifest.js - keep it dependency-free.
+ */
+
+const nodeFs = require('fs');
+const path = require('path');
+const util = require('util');
+
+// ============================================
+// COMMAND-LINE OPTIONS
+// ============================================
+
+// Options are looked up after "node <script>"; the command name and other
+// positional arguments never start with "--", so they are never matched
+function getOption(name, args = process.argv.slice(2)) {
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === `--${name}`) {
+            return args[i + 1];
+        }
+        if (args[i].startsWith(`--${name}=`)) {
+            return args[i].slice(name.length + 3);
+        }
+    }
+    return undefined;
+}
+
+function hasFlag(name, args = process.argv.slice(2)) {
+    return args.includes(`--${name}`);
+}
+
+// ============================================
+// RUN REPORT (--json / --report <file>)
+// ============================================
+
+// --json prints the report as the only thing on stdout (logs move to stderr);
+// --report <file> writes it to a file and keeps the normal console output.
+// In either mode the exit code tells the workflow what happened.
+const REPORT_EXIT_CODES = { unchanged: 0, failed: 1, changed: 2 };
+
+const runReport = {
+    command: null,
+    status: null,
+    exitCode: null,
+    changed: false,
+    filesWritten: [],
+    filesRemoved: [],
+    warnings: [],
+    errors: [],
+    counts: {},
+    result: {}
+};
+
+function reportFileWritten(filename) {
+    if (!runReport.filesWritten.includes(filename)) {
+        runReport.filesWritten.push(filename);
+    }
+}
+
+function reportFileRemoved(filename) {
+    runReport.filesRemoved.push(filename);
+}
+
+// Side effects that are not files (e.g. a dispatch was sent)
+function reportChanged() {
+    runReport.changed = true;
+}
+
+function reportCounts(counts) {
+    Object.assign(runReport.counts, counts);
+}
+
+function reportResult(result) {
+    Object.assign(runReport.result, result);
+}
+
+// True when stdout is reserved for the report
+function isJsonReport() {
+    return hasFlag('json');
+}
+
+function enableRunReport(command) {
+    const jsonMode = isJsonReport();
+    const reportFile = getOption('report');
+    if (!jsonMode && !reportFile) {
+        return;
+    }
+    
+    runReport.command = command;
+    const toStderr = (...args) => process.stderr.write(util.format(...args) + '\n');
+    const originalWarn = console.warn;
+    const originalError = console.error;
+    // Banner boxes are decoration, not messages
+    const message = args => {
+        const text = util.format(...args).trim();
+        return /^[╔║╚]/.test(text) ? '' : text;
+    };
+    
+    if (jsonMode) {
+        console.log = toStderr;
+        console.info = toStderr;
+    }
+    console.warn = (...args) => {
+        if (message(args)) runReport.warnings.push(message(args));
+        originalWarn(...args);
+    };
+    console.error = (...args) => {
+        if (message(args)) runReport.errors.push(message(args));
+        originalError(...args);
+    };
+    
+    process.on('exit', code => {
+        const changed = runReport.changed || runReport.filesWritten.length > 0 || runReport.filesRemoved.length > 0;
+        runReport.status = code !== 0 ? 'failed' : (changed ? 'changed' : 'unchanged');
+        runReport.exitCode = REPORT_EXIT_CODES[runReport.status];
+        
+        const text = JSON.stringify(runReport, null, 2) + '\n';
+        if (jsonMode) {
+            nodeFs.writeSync(1, text);
+        }
+        if (reportFile) {
+            nodeFs.writeFileSync(reportFile, text, 'utf8');
+        }
+        process.exitCode = runReport.exitCode;
+    });
+}
+
+// ============================================
+// RUNTIME (ROOT DIRECTORY, FS, PROVIDERS)
+// ============================================
+
+const PATH_FS_METHODS = ['existsSync', 'readFileSync', 'writeFileSync', 'readdirSync', 'statSync', 'mkdirSync',
+                         'unlinkSync', 'openSync', 'rmSync'];
+const FD_FS_METHODS = ['writeSync', 'fsyncSync', 'closeSync'];
+
+// defaults: the script's own providers (gitDate/now, git/forceScanAll, ...).
+// onSwitch runs whenever the runtime changes, to drop caches read from the old root.
+function createRuntime(defaults, onSwitch = () => {}) {
+    const base = { root: process.cwd(), fs: nodeFs, ...defaults };
+    const runtime = { ...base };
+    
+    // Every file access in the scripts goes through this facade: relative paths
+    // resolve against runtime.root and the calls land on runtime.fs (real or injected)
+    const fs = {};
+    PATH_FS_METHODS.forEach(method => {
+        fs[method] = (target, ...args) => runtime.fs[method](path.resolve(runtime.root, String(target)), ...args);
+    });
+    fs.renameSync = (from, to) => runtime.fs.renameSync(path.resolve(runtime.root, from), path.resolve(runtime.root, to));
+    FD_FS_METHODS.forEach(method => {
+        fs[method] = (...args) => runtime.fs[method](...args);
+    });
+    
+    const replaceRuntime = values => {
+        Object.keys(runtime).forEach(key => { delete runtime[key]; });
+        Object.assign(runtime, values);
+        onSwitch();
+    };
+    
+    // Runs fn against another root / fs / providers, restoring the previous runtime after
+    function withRuntime(options, fn) {
+        const previous = { ...runtime };
+        replaceRuntime({ ...base, ...options, root: path.resolve(options.root || base.root) });
+        try {
+            return fn();
+        } finally {
+            replaceRuntime(previous);
+        }
+    }
+    
+    // Same functions, each call run against the given options
+    function bindLibrary(functions, options = {}) {
+        const api = {};
+        Object.entries(functions).forEach(([name, fn]) => {
+            api[name] = (...args) => withRuntime(options, () => fn(...args));
+        });
+        return api;
+    }
+    
+    return { runtime, fs, withRuntime, bindLibrary };
+}
+
+// ============================================
+// PAGE URLS
+// ============================================
+
+// manga-config.json "pagesBaseUrl", else the chapter folders on raw GitHub.
+// Always ends in "/" - page URLs are <base><chapter>/<file>.
+function getPagesBaseUrl(config) {
+    const baseUrl = config.pagesBaseUrl || `https://raw.githubusercontent.com/${config.repoOwner}/${config.repoName}/main/`;
+    return baseUrl.replace(/\/?$/, '/');
+}
+
+module.exports = {
+    getOption,
+    hasFlag,
+    REPORT_EXIT_CODES,
+    runReport,
+    reportFileWritten,
+    reportFileRemoved,
+    reportChanged,
+    reportCounts,
+    reportResult,
+    isJsonReport,
+    enableRunReport,
+    createRuntime,
+    getPagesBaseUrl
+};
@@ -1,83 +1,377 @@
 /**
  * ENCRYPT-MANIFEST.JS - IMPROVED DETECTION VERSION
- * 🔐 Encrypts manifest.json files with AES-256
+ * 🔐 Encrypts manifest.json files with AES-256-GCM (encryption_version 2.0)
  * ✅ Better detection: checks UNENCRYPTED manifests first
  * ✅ Fallback to git diff if needed
+ * 🔑 Per-chapter keys derived from the token and chapter folder
+ * 🔄 Key rotation: re-encrypt every manifest with a new token
+ *
+ * Usage:
+ * SECRET_TOKEN=... node encrypt-manifest.js → Encrypt new manifests
+ * OLD_SECRET_TOKEN=... NEW_SECRET_TOKEN=... node encrypt-manifest.js rotate → Re-encrypt all manifests with a new token
+ * SECRET_TOKEN=... node encrypt-manifest.js migrate → Upgrade v1.0 (AES-CBC) manifests to v2.0 in place
+ * SECRET_TOKEN=... node encrypt-manifest.js decrypt <chapter> → Print plaintext page URLs of a chapter
+ * SECRET_TOKEN=... node encrypt-manifest.js verify → Audit all manifests (exit 1 on any problem)
+ *
+ * Every command also accepts --json (report on stdout, logs on stderr) and/or
+ * --report <file>. With either, the exit code is 0 = nothing to do, 2 = changed,
+ * 1 = failed; without them, success is always 0. decrypt --json puts the pages in
+ * the report's result instead of printing them. Options and the report live in
+ * automation-runtime.js, shared with manga-automation.js.
+ *
+ * Library use:
+ *   const { createEncryptManifest } = require('./encrypt-manifest');
+ *   const encryptor = createEncryptManifest({ root, fs, git, forceScanAll });
+ *   encryptor.getManifestsToEncrypt().forEach(file => encryptor.encryptManifest(file, token));
+ * Helpers throw EncryptManifestError subclasses instead of exiting.
  */
 
-const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { execSync } = require('child_process');
+const {
+    getOption,
+    hasFlag,
+    runReport,
+    reportFileWritten,
+    reportCounts,
+    reportResult,
+    isJsonReport,
+    enableRunReport,
+    createRuntime,
+    getPagesBaseUrl
+} = require('./automation-runtime');
 
 // ============================================
 // ENCRYPTION SETTINGS
 // ============================================
 
-const ENCRYPTION_ALGORITHM = 'aes-256-cbc';
-const SECRET_TOKEN = process.env.SECRET_TOKEN;
+// encryption_version "1.0" (legacy, read-only):
+//   key   = SHA-256(token)
+//   entry = hex(iv[16]) + ':' + hex(AES-256-CBC ciphertext)
+//
+// encryption_version "2.0":
+//   key   = PBKDF2-SHA256(token, manifest.kdf.salt, manifest.kdf.iterations)
+//   entry = hex(iv[12]) + ':' + hex(AES-256-GCM ciphertext + 16-byte auth tag)
+//   Same layout WebCrypto's AES-GCM decrypt() expects, so the reader can
+//   verify every page entry with SubtleCrypto.
+//
+// key_derivation.scheme "chapter" (default for new manifests):
+//   key   = HKDF-SHA256(ikm = v2 key above, salt = empty, info = "manifest:" + key_derivation.info)
+//   info  = "<repoName>/<chapter folder>" (or just "<chapter folder>" without repoName)
+//   One chapter key can be handed out without exposing the other chapters.
+//   Manifests without key_derivation use the v2 key directly (scheme "token").
+//
+// key_id = hex(HKDF-SHA256(ikm = PBKDF2-SHA256(token, "manifest-key-id", 100000 iterations),
+//                          salt = empty, info = "key-id", 4 bytes))
+const ENCRYPTION_VERSION = '2.0';
+const LEGACY_ALGORITHM = 'aes-256-cbc';
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const KDF_ITERATIONS = 100000;
+const KDF_SALT_BYTES = 16;
+const GCM_IV_BYTES = 12;
+const GCM_TAG_BYTES = 16;
+const KEY_SCHEME = 'chapter';
+const KEY_ID_SALT = 'manifest-key-id';
 const FORCE_SCAN_ALL = process.env.FORCE_SCAN_ALL === 'true';
 
-// ✅ SECURITY: Token must be provided via environment variable
-if (!SECRET_TOKEN) {
+// ============================================
+// RUNTIME (ROOT DIRECTORY, FS, GIT)
+// ============================================
+
+// Runs a git command in the root and returns its trimmed stdout (throws on failure)
+function defaultGit(args) {
+    return execSync(`git ${args}`, {
+        cwd: runtime.root,
+        encoding: 'utf-8',
+        stdio: ['pipe', 'pipe', 'pipe']
+    }).trim();
+}
+
+// fs below is the root-relative facade from automation-runtime.js
+const { runtime, fs, withRuntime, bindLibrary } = createRuntime(
+    { git: defaultGit, forceScanAll: FORCE_SCAN_ALL },
+    () => { mangaConfigCache = null; }
+);
+
+// ============================================
+// ERRORS
+// ============================================
+
+class EncryptManifestError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        Object.assign(this, details);
+    }
+}
+
+class MissingTokenError extends EncryptManifestError {}
+
+// code: MISSING_KDF | UNKNOWN_KEY_SCHEME | UNSUPPORTED_VERSION | KEY_MISMATCH
+class ManifestKeyError extends EncryptManifestError {}
+
+function printMissingToken(envName) {
     console.error('╔═══════════════════════════════════════╗');
     console.error('║  ❌ SECURITY ERROR                    ║');
     console.error('╚═══════════════════════════════════════╝\n');
-    console.error('SECRET_TOKEN environment variable is required!');
+    console.error(`${envName} environment variable is required!`);
     console.error('\nPlease set MANIFEST_SECRET_TOKEN in GitHub Secrets:');
     console.error('  Repository → Settings → Secrets → Actions');
     console.error('\nTo generate a secure token:');
     console.error('  node -e "console.log(require(\'crypto\').randomBytes(16).toString(\'hex\'))"');
-    process.exit(1);
 }
 
-// Derive key from token (32 bytes for AES-256)
+// ✅ SECURITY: Token must be provided via environment variable
+function requireToken(envName) {
+    const token = process.env[envName];
+    
+    if (!token) {
+        throw new MissingTokenError(`${envName} environment variable is required`, { envName });
+    }
+    
+    return token;
+}
+
+// v1 key: single unsalted hash of the token (kept only to read old manifests)
 function deriveKey(token) {
     return crypto.createHash('sha256').update(token).digest();
 }
 
+function deriveKeyV2(token, kdf) {
+    const salt = Buffer.from(kdf.salt, 'hex');
+    return crypto.pbkdf2Sync(token, salt, kdf.iterations, 32, 'sha256');
+}
+
+// Short fingerprint of the token, stored as key_id so the reader knows
+// which token generation a manifest was encrypted with. key_id is public, so it
+// costs a guess the same PBKDF2 work as the page keys; the fixed salt keeps it
+// the same across manifests (memoized - rotate and encrypt ask for it per manifest)
+const keyIdCache = new Map();
+
+function getKeyId(token) {
+    if (!keyIdCache.has(token)) {
+        const baseKey = crypto.pbkdf2Sync(token, KEY_ID_SALT, KDF_ITERATIONS, 32, 'sha256');
+        keyIdCache.set(token, Buffer.from(crypto.hkdfSync('sha256', baseKey, Buffer.alloc(0), 'key-id', 4)).toString('hex'));
+    }
+    return keyIdCache.get(token);
+}
+
+// key_id as written before it came from the KDF: SHA-256(v1 key). Only compared
+// against, never written - migrate or rotate replaces it in existing manifests
+function getLegacyKeyId(token) {
+    return crypto.createHash('sha256').update(deriveKey(token)).digest('hex').slice(0, 8);
+}
+
+function isKeyIdOf(keyId, token) {
+    return keyId === getKeyId(token) || keyId === getLegacyKeyId(token);
+}
+
+function deriveChapterKey(baseKey, info) {
+    return Buffer.from(crypto.hkdfSync('sha256', baseKey, Buffer.alloc(0), `manifest:${info}`, 32));
+}
+
+let mangaConfigCache = null;
+
+function loadMangaConfig() {
+    if (mangaConfigCache) {
+        return mangaConfigCache;
+    }
+    
+    try {
+        mangaConfigCache = JSON.parse(fs.readFileSync('manga-config.json', 'utf8'));
+    } catch (error) {
+        console.warn('⚠️  Could not read manga-config.json:', error.message);
+        mangaConfigCache = {};
+    }
+    return mangaConfigCache;
+}
+
+// HKDF info a chapter's key is bound to, e.g. "YuureigaHatsukoi/25"
+function getKeyInfo(manifestPath) {
+    const chapter = path.basename(path.dirname(path.resolve(runtime.root, manifestPath)));
+    const { repoName } = loadMangaConfig();
+    return repoName ? `${repoName}/${chapter}` : chapter;
+}
+
+// Fresh v2 key with a new random salt (one per manifest), bound to the chapter
+function createManifestKey(token, manifestPath) {
+    const kdf = {
+        name: 'PBKDF2',
+        hash: 'SHA-256',
+        iterations: KDF_ITERATIONS,
+        salt: crypto.randomBytes(KDF_SALT_BYTES).toString('hex')
+    };
+    const derivation = { scheme: KEY_SCHEME, hash: 'SHA-256', info: getKeyInfo(manifestPath) };
+    
+    return {
+        version: ENCRYPTION_VERSION,
+        key: deriveChapterKey(deriveKeyV2(token, kdf), derivation.info),
+        kdf,
+        derivation
+    };
+}
+
+// Key matching the scheme an existing manifest was encrypted with
+function getManifestKey(token, manifest) {
+    if (manifest.encryption_version === '2.0') {
+        if (!manifest.kdf || !manifest.kdf.salt || !manifest.kdf.iterations) {
+            throw new ManifestKeyError('encryption_version 2.0 manifest is missing kdf parameters', { code: 'MISSING_KDF' });
+        }
+        
+        const baseKey = deriveKeyV2(token, manifest.kdf);
+        const derivation = manifest.key_derivation || null;
+        
+        if (!derivation) {
+            return { version: '2.0', key: baseKey, kdf: manifest.kdf, derivation: null };
+        }
+        if (derivation.scheme !== 'chapter' || !derivation.info) {
+            throw new ManifestKeyError(`unknown key_derivation scheme "${derivation.scheme}"`, { code: 'UNKNOWN_KEY_SCHEME' });
+        }
+        return { version: '2.0', key: deriveChapterKey(baseKey, derivation.info), kdf: manifest.kdf, derivation };
+    }
+    
+    return { version: '1.0', key: deriveKey(token), kdf: null, derivation: null };
+}
+
+// Records how the manifest was encrypted so readers know which key to derive
+function markEncrypted(manifest, manifestKey, token) {
+    manifest.encrypted = true;
+    manifest.encryption_version = manifestKey.version;
+    manifest.kdf = manifestKey.kdf;
+    if (manifestKey.derivation) {
+        manifest.key_derivation = manifestKey.derivation;
+    } else {
+        delete manifest.key_derivation;
+    }
+    manifest.key_id = getKeyId(token);
+}
+
 // ============================================
 // ENCRYPTION FUNCTIONS
 // ============================================
 
-function encryptText(text, secretKey) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, secretKey, iv);
+function encryptText(text, manifestKey) {
+    if (manifestKey.version !== ENCRYPTION_VERSION) {
+        throw new ManifestKeyError(`Refusing to write encryption_version ${manifestKey.version}`, { code: 'UNSUPPORTED_VERSION' });
+    }
+    
+    const iv = crypto.randomBytes(GCM_IV_BYTES);
+    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, manifestKey.key, iv);
     
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final(), cipher.getAuthTag()]);
     
-    // Return IV + encrypted data (IV needed for decryption)
-    return iv.toString('hex') + ':' + encrypted;
+    // Return IV + encrypted data + auth tag (IV needed for decryption)
+    return iv.toString('hex') + ':' + encrypted.toString('hex');
+}
+
+function decryptText(text, manifestKey) {
+    const [ivHex, encryptedHex] = text.split(':');
+    const iv = Buffer.from(ivHex, 'hex');
+    
+    if (manifestKey.version === '2.0') {
+        const encrypted = Buffer.from(encryptedHex, 'hex');
+        const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, manifestKey.key, iv);
+        decipher.setAuthTag(encrypted.subarray(encrypted.length - GCM_TAG_BYTES));
+        
+        // final() throws if the entry was tampered with or the key is wrong
+        const decrypted = Buffer.concat([
+            decipher.update(encrypted.subarray(0, encrypted.length - GCM_TAG_BYTES)),
+            decipher.final()
+        ]);
+        return decrypted.toString('utf8');
+    }
+    
+    const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, manifestKey.key, iv);
+    let decrypted = decipher.update(encryptedHex, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    
+    return decrypted;
+}
+
+// Which format an entry is in, judged by its shape alone (null = not encrypted)
+function getEntryVersion(text) {
+    if (/^[0-9a-f]{32}:[0-9a-f]+$/i.test(text)) {
+        return '1.0';
+    }
+    if (/^[0-9a-f]{24}:[0-9a-f]{34,}$/i.test(text)) {
+        return '2.0';
+    }
+    return null;
 }
 
 function isEncrypted(text) {
-    // Check if text matches encrypted pattern (hex:hex)
-    return /^[0-9a-f]{32}:[0-9a-f]+$/i.test(text);
+    // Check if text matches v1 (32 hex IV) or v2 (24 hex IV) pattern
+    return getEntryVersion(text) !== null;
+}
+
+function isPageUrl(text) {
+    return /^https?:\/\/\S+$/i.test(text);
+}
+
+// Sorts page indexes into encrypted / plaintext URL / malformed (neither)
+function classifyPages(pages) {
+    const result = { encrypted: [], plaintext: [], malformed: [] };
+    
+    pages.forEach((page, index) => {
+        if (typeof page === 'string' && isEncrypted(page)) {
+            result.encrypted.push(index);
+        } else if (typeof page === 'string' && isPageUrl(page)) {
+            result.plaintext.push(index);
+        } else {
+            result.malformed.push(index);
+        }
+    });
+    
+    return result;
+}
+
+// Write to a temp file next to the target, then rename over it,
+// so a crash never leaves a half-written manifest.json behind
+function writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    
+    try {
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, content, null, 'utf8');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, filePath);
+        reportFileWritten(filePath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
 }
 
 // ============================================
 // IMPROVED: GET ALL MANIFESTS
 // ============================================
 
+// Every manifest.json under the root (relative paths, .git skipped), sorted
 function getAllManifestsInRepo() {
+    const manifests = [];
+    
+    const walk = dir => {
+        fs.readdirSync(dir || '.', { withFileTypes: true }).forEach(dirent => {
+            const relativePath = dir ? `${dir}/${dirent.name}` : dirent.name;
+            if (dirent.isDirectory() && dirent.name !== '.git') {
+                walk(relativePath);
+            } else if (dirent.isFile() && dirent.name === 'manifest.json') {
+                manifests.push(relativePath);
+            }
+        });
+    };
+    
     try {
-        const output = execSync('find . -name "manifest.json" -not -path "./.git/*"', {
-            encoding: 'utf-8',
-            stdio: ['pipe', 'pipe', 'pipe']
-        }).trim();
-        
-        if (output) {
-            const allManifests = output.split('\n')
-                .map(path => path.replace('./', ''))
-                .filter(path => fs.existsSync(path));
-            
-            return allManifests;
-        }
+        walk('');
     } catch (error) {
         console.error('❌ Error finding manifests:', error.message);
     }
-    return [];
+    return manifests.sort();
 }
 
 // ============================================
@@ -96,10 +390,17 @@ function getUnencryptedManifests() {
             const manifest = JSON.parse(content);
             
             if (manifest.pages && manifest.pages.length > 0) {
-                const firstPage = manifest.pages[0];
-                if (!isEncrypted(firstPage)) {
+                // Every entry is checked - a single plaintext page is enough
+                const { encrypted, plaintext, malformed } = classifyPages(manifest.pages);
+                
+                if (plaintext.length > 0) {
                     unencryptedManifests.push(manifestPath);
-                    console.log(`   🔓 Unencrypted: ${manifestPath}`);
+                    const mixedText = encrypted.length > 0 ? ` (mixed: ${plaintext.length} plaintext, ${encrypted.length} encrypted)` : '';
+                    console.log(`   🔓 Unencrypted: ${manifestPath}${mixedText}`);
+                }
+                
+                if (malformed.length > 0) {
+                    console.warn(`   ⚠️  Malformed entries in ${manifestPath}: page ${malformed.map(i => i + 1).join(', ')}`);
                 }
             }
         } catch (error) {
@@ -120,10 +421,7 @@ function getModifiedManifestsFromGit() {
         
         // Strategy 1: Check last commit
         try {
-            const lastCommitFiles = execSync('git diff --name-only HEAD~1 HEAD', { 
-                encoding: 'utf-8',
-                stdio: ['pipe', 'pipe', 'pipe']
-            }).trim();
+            const lastCommitFiles = runtime.git('diff --name-only HEAD~1 HEAD');
             
             if (lastCommitFiles) {
                 const changedFiles = lastCommitFiles.split('\n');
@@ -147,10 +445,7 @@ function getModifiedManifestsFromGit() {
         // Strategy 2: Check unstaged changes
         if (manifestFiles.length === 0) {
             try {
-                const unstagedFiles = execSync('git diff --name-only', {
-                    encoding: 'utf-8',
-                    stdio: ['pipe', 'pipe', 'pipe']
-                }).trim();
+                const unstagedFiles = runtime.git('diff --name-only');
                 
                 if (unstagedFiles) {
                     const files = unstagedFiles.split('\n');
@@ -172,10 +467,7 @@ function getModifiedManifestsFromGit() {
         
         // Strategy 3: Check untracked files
         try {
-            const untrackedFiles = execSync('git ls-files --others --exclude-standard', {
-                encoding: 'utf-8',
-                stdio: ['pipe', 'pipe', 'pipe']
-            }).trim();
+            const untrackedFiles = runtime.git('ls-files --others --exclude-standard');
             
             if (untrackedFiles) {
                 const files = untrackedFiles.split('\n');
@@ -209,7 +501,7 @@ function getModifiedManifestsFromGit() {
 
 function getManifestsToEncrypt() {
     // 🔥 FORCE MODE: Return all manifests
-    if (FORCE_SCAN_ALL) {
+    if (runtime.forceScanAll) {
         console.log('🔥 Force mode enabled - will scan ALL manifests\n');
         const allManifests = getAllManifestsInRepo();
         console.log(`📋 Found ${allManifests.length} total manifest(s) in repo`);
@@ -250,48 +542,415 @@ function getManifestsToEncrypt() {
 // MANIFEST PROCESSING
 // ============================================
 
-function encryptManifest(filePath, secretKey) {
-    try {
-        console.log(`\n🔍 Processing: ${filePath}`);
+// true = encrypted, false = nothing to encrypt; throws when the manifest
+// can't be encrypted (plaintext would stay committed)
+function encryptManifest(filePath, secretToken) {
+    console.log(`\n🔍 Processing: ${filePath}`);
+    
+    // Read manifest
+    const fileContent = fs.readFileSync(filePath, 'utf8');
+    const manifest = JSON.parse(fileContent);
+    
+    if (!manifest.pages || !Array.isArray(manifest.pages)) {
+        console.log(`  ⚠️  No pages array found - skipping`);
+        return false;
+    }
+    
+    // Classify every entry, not just the first one
+    const { encrypted, plaintext, malformed } = classifyPages(manifest.pages);
+    
+    if (malformed.length > 0) {
+        console.warn(`  ⚠️  Malformed entries (neither ciphertext nor URL): page ${malformed.map(i => i + 1).join(', ')}`);
+    }
+    
+    if (plaintext.length === 0) {
+        console.log(`  ✅ Already encrypted - skipping`);
+        return false;
+    }
+    
+    console.log(`  📊 Total pages: ${manifest.pages.length}`);
+    
+    let manifestKey;
+    if (encrypted.length === 0) {
+        manifestKey = createManifestKey(secretToken, filePath);
+    } else {
+        // Mixed manifest: encrypt only the plaintext entries, with the same key
+        console.log(`  🧩 Mixed manifest: ${encrypted.length} encrypted, ${plaintext.length} plaintext`);
+        
+        if (manifest.key_id && !isKeyIdOf(manifest.key_id, secretToken)) {
+            throw new ManifestKeyError(
+                `Encrypted entries use key ${manifest.key_id}, not ${getKeyId(secretToken)} - run rotate first`,
+                { code: 'KEY_MISMATCH' }
+            );
+        }
         
-        // Read manifest
-        const fileContent = fs.readFileSync(filePath, 'utf8');
-        const manifest = JSON.parse(fileContent);
+        manifestKey = getManifestKey(secretToken, manifest);
         
-        if (!manifest.pages || !Array.isArray(manifest.pages)) {
-            console.log(`  ⚠️  No pages array found - skipping`);
-            return false;
+        if (manifestKey.version !== ENCRYPTION_VERSION) {
+            // Legacy entries can't be mixed with v2 ones - upgrade them in the same write
+            console.log(`  ⬆️  Upgrading ${encrypted.length} v${manifestKey.version} entries to v${ENCRYPTION_VERSION}`);
+            const legacyKey = manifestKey;
+            manifestKey = createManifestKey(secretToken, filePath);
+            
+            for (const index of encrypted) {
+                manifest.pages[index] = encryptText(decryptText(manifest.pages[index], legacyKey), manifestKey);
+            }
+        }
+    }
+    
+    console.log(`  🔐 Encrypting ${plaintext.length} page(s)...`);
+    
+    // Encrypt each plaintext page URL
+    for (const index of plaintext) {
+        manifest.pages[index] = encryptText(manifest.pages[index], manifestKey);
+    }
+    
+    // Add encryption marker
+    markEncrypted(manifest, manifestKey, secretToken);
+    
+    // Save encrypted manifest
+    const jsonString = JSON.stringify(manifest, null, 2);
+    writeFileAtomic(filePath, jsonString);
+    
+    console.log(`  ✅ Encrypted successfully!`);
+    return true;
+}
+
+// ============================================
+// KEY ROTATION & V1 → V2 MIGRATION
+// ============================================
+
+// Decrypts every encrypted manifest with oldToken (whatever version it is in)
+// and re-encrypts it as encryption_version 2.0 with newToken.
+// All-or-nothing: if a single entry fails, no file is written.
+function reencryptManifests(oldToken, newToken) {
+    const newKeyId = getKeyId(newToken);
+    const allManifests = getAllManifestsInRepo();
+    const prepared = [];
+    const failures = [];
+    
+    console.log(`📋 Scanning ${allManifests.length} total manifest(s)...`);
+    
+    // Pass 1: decrypt everything in memory - nothing is written yet
+    for (const manifestPath of allManifests) {
+        let manifest;
+        try {
+            manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        } catch (error) {
+            failures.push(`${manifestPath}: invalid JSON (${error.message})`);
+            continue;
+        }
+        
+        if (!manifest.pages || !Array.isArray(manifest.pages) || manifest.pages.length === 0) {
+            console.log(`   ⚠️  No pages: ${manifestPath} - skipping`);
+            continue;
         }
         
-        // Check if already encrypted
-        const firstPage = manifest.pages[0] || '';
-        if (isEncrypted(firstPage)) {
-            console.log(`  ✅ Already encrypted - skipping`);
-            return false;
+        if (!manifest.encrypted && !manifest.pages.some(page => isEncrypted(page))) {
+            console.log(`   🔓 Not encrypted yet: ${manifestPath} - skipping`);
+            continue;
         }
         
-        console.log(`  📊 Total pages: ${manifest.pages.length}`);
-        console.log(`  🔐 Encrypting...`);
+        const keyScheme = manifest.key_derivation ? manifest.key_derivation.scheme : 'token';
+        if (manifest.encryption_version === ENCRYPTION_VERSION && manifest.key_id === newKeyId && keyScheme === KEY_SCHEME) {
+            console.log(`   ✅ Already v${ENCRYPTION_VERSION} (${KEY_SCHEME} keys) on key ${newKeyId}: ${manifestPath} - skipping`);
+            continue;
+        }
         
-        // Encrypt each page URL
-        manifest.pages = manifest.pages.map(pageUrl => {
-            return encryptText(pageUrl, secretKey);
+        let oldKey;
+        try {
+            oldKey = getManifestKey(oldToken, manifest);
+        } catch (error) {
+            failures.push(`${manifestPath}: ${error.message}`);
+            continue;
+        }
+        
+        const plainPages = [];
+        manifest.pages.forEach((page, index) => {
+            if (getEntryVersion(page) !== oldKey.version) {
+                failures.push(`${manifestPath}: page ${index + 1} is not a v${oldKey.version} entry`);
+                return;
+            }
+            
+            try {
+                const pageUrl = decryptText(page, oldKey);
+                if (!isPageUrl(pageUrl)) {
+                    throw new Error('decrypted value is not a URL');
+                }
+                plainPages.push(pageUrl);
+            } catch (error) {
+                failures.push(`${manifestPath}: page ${index + 1} failed to decrypt with old key`);
+            }
         });
         
-        // Add encryption marker
-        manifest.encrypted = true;
-        manifest.encryption_version = '1.0';
+        if (plainPages.length === manifest.pages.length) {
+            prepared.push({ manifestPath, manifest, plainPages });
+            console.log(`   🔑 Decrypted v${oldKey.version}: ${manifestPath} (${plainPages.length} pages)`);
+        }
+    }
+    
+    if (failures.length > 0) {
+        console.error(`\n❌ ${failures.length} entr${failures.length === 1 ? 'y' : 'ies'} could not be decrypted with the old key:`);
+        failures.forEach(failure => console.error(`   - ${failure}`));
+        console.error('\n⛔ Aborted - no manifest was modified');
+        return null;
+    }
+    
+    // Pass 2: every entry decrypted fine, re-encrypt with the new key
+    for (const { manifestPath, manifest, plainPages } of prepared) {
+        const manifestKey = createManifestKey(newToken, manifestPath);
+        
+        manifest.pages = plainPages.map(pageUrl => encryptText(pageUrl, manifestKey));
+        markEncrypted(manifest, manifestKey, newToken);
         
-        // Save encrypted manifest
-        const jsonString = JSON.stringify(manifest, null, 2);
-        fs.writeFileSync(filePath, jsonString, 'utf8');
+        writeFileAtomic(manifestPath, JSON.stringify(manifest, null, 2));
+        console.log(`   ✅ Re-encrypted: ${manifestPath}`);
+    }
+    
+    return prepared.length;
+}
+
+function commandRotate() {
+    console.log('╔═══════════════════════════════════════╗');
+    console.log('║   MANIFEST KEY ROTATION               ║');
+    console.log('╚═══════════════════════════════════════╝\n');
+    
+    const oldToken = requireToken('OLD_SECRET_TOKEN');
+    const newToken = requireToken('NEW_SECRET_TOKEN');
+    
+    if (oldToken === newToken) {
+        console.error('❌ OLD_SECRET_TOKEN and NEW_SECRET_TOKEN are identical');
+        process.exit(1);
+    }
+    
+    console.log(`🔑 Old key: ${getKeyId(oldToken)} → New key: ${getKeyId(newToken)}\n`);
+    
+    const rotatedCount = reencryptManifests(oldToken, newToken);
+    
+    if (rotatedCount === null) {
+        process.exit(1);
+    }
+    reportCounts({ reencrypted: rotatedCount });
+    reportResult({ oldKeyId: getKeyId(oldToken), newKeyId: getKeyId(newToken) });
+    
+    console.log(`\n✅ Rotation completed! Re-encrypted ${rotatedCount} manifest(s)`);
+    console.log('💡 Update MANIFEST_SECRET_TOKEN in GitHub Secrets to the new token');
+}
+
+function commandMigrate() {
+    console.log('╔═══════════════════════════════════════╗');
+    console.log(`║   MANIFEST MIGRATION v1.0 → v${ENCRYPTION_VERSION}      ║`);
+    console.log('╚═══════════════════════════════════════╝\n');
+    
+    const secretToken = requireToken('SECRET_TOKEN');
+    console.log(`🔑 Key: ${getKeyId(secretToken)}\n`);
+    
+    const migratedCount = reencryptManifests(secretToken, secretToken);
+    
+    if (migratedCount === null) {
+        process.exit(1);
+    }
+    reportCounts({ migrated: migratedCount });
+    
+    console.log(`\n✅ Migration completed! Upgraded ${migratedCount} manifest(s) to v${ENCRYPTION_VERSION}`);
+}
+
+// ============================================
+// AUDIT: DECRYPT & VERIFY
+// ============================================
+
+// Decrypts every entry of a manifest, collecting per-page errors instead of throwing
+function decryptManifestPages(manifest, secretToken) {
+    const manifestKey = getManifestKey(secretToken, manifest);
+    
+    return manifest.pages.map((page, index) => {
+        const entry = { page: index + 1, url: null, error: null };
         
-        console.log(`  ✅ Encrypted successfully!`);
-        return true;
+        if (typeof page !== 'string') {
+            entry.error = 'entry is not a string';
+        } else if (!isEncrypted(page)) {
+            entry.error = isPageUrl(page) ? 'entry is NOT encrypted (plaintext URL)' : 'entry is malformed';
+            entry.url = isPageUrl(page) ? page : null;
+        } else if (getEntryVersion(page) !== manifestKey.version) {
+            entry.error = `entry is v${getEntryVersion(page)} but manifest is v${manifestKey.version}`;
+        } else {
+            try {
+                entry.url = decryptText(page, manifestKey);
+                if (!isPageUrl(entry.url)) {
+                    entry.error = 'decrypted value is not a URL';
+                }
+            } catch (error) {
+                entry.error = 'failed to decrypt (wrong token or tampered entry)';
+            }
+        }
         
+        return entry;
+    });
+}
+
+// expected: { baseUrl, host, fileName: RegExp } - baseUrl and host are optional
+function verifyManifest(manifestPath, secretToken, expected) {
+    const problems = [];
+    let manifest;
+    
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
     } catch (error) {
-        console.error(`  ❌ Error processing ${filePath}:`, error.message);
-        return false;
+        return { pages: 0, problems: [`invalid JSON (${error.message})`] };
+    }
+    
+    if (!manifest.pages || !Array.isArray(manifest.pages)) {
+        return { pages: 0, problems: ['no pages array'] };
+    }
+    
+    const totalPages = manifest.total_pages !== undefined ? manifest.total_pages : manifest.totalPages;
+    if (totalPages === undefined) {
+        problems.push('total_pages is missing');
+    } else if (totalPages !== manifest.pages.length) {
+        problems.push(`total_pages is ${totalPages} but manifest has ${manifest.pages.length} pages`);
+    }
+    
+    if (manifest.key_derivation && manifest.key_derivation.info !== getKeyInfo(manifestPath)) {
+        problems.push(`key is bound to "${manifest.key_derivation.info}", expected "${getKeyInfo(manifestPath)}"`);
+    }
+    
+    let entries;
+    try {
+        entries = decryptManifestPages(manifest, secretToken);
+    } catch (error) {
+        return { pages: manifest.pages.length, problems: [...problems, error.message] };
+    }
+    
+    entries.forEach(entry => {
+        if (entry.error) {
+            problems.push(`page ${entry.page}: ${entry.error}`);
+            return;
+        }
+        
+        let url;
+        let fileName;
+        try {
+            url = new URL(entry.url);
+            fileName = decodeURIComponent(url.pathname.split('/').pop());
+        } catch (error) {
+            problems.push(`page ${entry.page}: malformed URL ${entry.url} (${error.message})`);
+            return;
+        }
+        
+        if (expected.baseUrl && !entry.url.startsWith(expected.baseUrl)) {
+            problems.push(`page ${entry.page}: ${entry.url} is not under ${expected.baseUrl}`);
+        }
+        if (expected.host && url.hostname !== expected.host) {
+            problems.push(`page ${entry.page}: host ${url.hostname} (expected ${expected.host})`);
+        }
+        if (!expected.fileName.test(fileName)) {
+            problems.push(`page ${entry.page}: file name ${fileName} does not match ${expected.fileName}`);
+        }
+    });
+    
+    return { pages: manifest.pages.length, problems };
+}
+
+function commandDecrypt(chapter) {
+    if (!chapter) {
+        console.error('❌ Usage: node encrypt-manifest.js decrypt <chapter>');
+        process.exit(1);
+    }
+    
+    const secretToken = requireToken('SECRET_TOKEN');
+    const manifestPath = path.join(chapter, 'manifest.json');
+    
+    if (!fs.existsSync(manifestPath)) {
+        console.error(`❌ ${manifestPath} not found`);
+        process.exit(1);
+    }
+    
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        console.error(`❌ ${manifestPath} is not valid JSON (${error.message})`);
+        process.exit(1);
+    }
+    if (!manifest.pages || !Array.isArray(manifest.pages)) {
+        console.error(`❌ ${manifestPath} has no pages array`);
+        process.exit(1);
+    }
+    
+    console.log(`🔓 ${manifestPath} (v${manifest.encryption_version || '-'}, key ${manifest.key_id || '-'})\n`);
+    
+    let entries;
+    try {
+        entries = decryptManifestPages(manifest, secretToken);
+    } catch (error) {
+        console.error(`❌ ${manifestPath}: ${error.message}`);
+        process.exit(1);
+    }
+    const failed = entries.filter(entry => entry.error).length;
+    reportResult({ chapter, pages: entries });
+    reportCounts({ pages: entries.length, failed });
+    
+    // With --json the decrypted pages are only in the report's result, never printed
+    if (!isJsonReport()) {
+        entries.forEach(entry => {
+            const pageNo = String(entry.page).padStart(3, ' ');
+            if (entry.error) {
+                console.log(`${pageNo}  ❌ ${entry.error}${entry.url ? ` - ${entry.url}` : ''}`);
+            } else {
+                console.log(`${pageNo}  ${entry.url}`);
+            }
+        });
+    }
+    
+    if (failed > 0) {
+        console.error(`\n❌ ${failed} page(s) could not be decrypted`);
+        process.exit(1);
+    }
+}
+
+function commandVerify() {
+    const secretToken = requireToken('SECRET_TOKEN');
+    const config = loadMangaConfig();
+    
+    const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const prefix = escapeRegExp(config.imagePrefix || 'Image');
+    const format = escapeRegExp(config.imageFormat || 'jpg');
+    // Pages are expected under the same base URL manga-automation.js scaffold writes
+    const expected = {
+        baseUrl: getPagesBaseUrl(config),
+        fileName: new RegExp(`^${prefix}\\d+\\.${format}$`, 'i')
+    };
+    
+    console.log('🔍 Verifying manifests...');
+    console.log(`   Expected base URL: ${expected.baseUrl}`);
+    console.log(`   Expected file name: ${expected.fileName}\n`);
+    
+    const allManifests = getAllManifestsInRepo();
+    let failedCount = 0;
+    const results = [];
+    
+    for (const manifestPath of allManifests) {
+        const chapter = path.dirname(manifestPath);
+        const { pages, problems } = verifyManifest(manifestPath, secretToken, expected);
+        results.push({ chapter, pages, problems });
+        runReport.errors.push(...problems.map(problem => `${chapter}: ${problem}`));
+        
+        if (problems.length === 0) {
+            console.log(`✅ ${chapter} - ${pages} pages OK`);
+            continue;
+        }
+        
+        failedCount++;
+        console.log(`❌ ${chapter} - ${problems.length} problem(s):`);
+        problems.forEach(problem => console.log(`   - ${problem}`));
+    }
+    
+    reportResult({ manifests: results });
+    reportCounts({ manifests: allManifests.length, failed: failedCount });
+    console.log(`\n📊 Verified ${allManifests.length} manifest(s): ${allManifests.length - failedCount} OK, ${failedCount} with problems`);
+    
+    if (failedCount > 0) {
+        process.exit(1);
     }
 }
 
@@ -299,21 +958,22 @@ function encryptManifest(filePath, secretKey) {
 // MAIN
 // ============================================
 
-function main() {
-    const modeText = FORCE_SCAN_ALL ? '🔥 FORCE MODE: Scan ALL manifests' : '🔍 Smart detection mode';
+function commandEncrypt() {
+    const secretToken = requireToken('SECRET_TOKEN');
+    const modeText = runtime.forceScanAll ? '🔥 FORCE MODE: Scan ALL manifests' : '🔍 Smart detection mode';
     
     console.log('╔═══════════════════════════════════════╗');
     console.log('║   MANIFEST ENCRYPTION SCRIPT v3.0     ║');
     console.log(`║ ${modeText.padEnd(39)}║`);
     console.log('╚═══════════════════════════════════════╝\n');
     
-    // Derive encryption key
-    const secretKey = deriveKey(SECRET_TOKEN);
-    console.log(`🔑 Secret token loaded (${SECRET_TOKEN.length} chars)\n`);
+    console.log(`🔑 Secret token loaded (${secretToken.length} chars, key ${getKeyId(secretToken)})\n`);
     
     // Get manifests to encrypt using smart detection
     const manifestsToProcess = getManifestsToEncrypt();
     
+    reportCounts({ processed: manifestsToProcess.length, encrypted: 0 });
+    
     if (manifestsToProcess.length === 0) {
         console.log('\n✅ No new manifests to encrypt');
         process.exit(0);
@@ -322,19 +982,117 @@ function main() {
     console.log(`\n📋 Will process ${manifestsToProcess.length} manifest(s):`);
     manifestsToProcess.forEach(file => console.log(`   - ${file}`));
     
-    // Encrypt each manifest
+    // Encrypt each manifest - one failure doesn't stop the others, but fails the run
     let encryptedCount = 0;
+    const failures = [];
     
     manifestsToProcess.forEach(filePath => {
-        if (encryptManifest(filePath, secretKey)) {
-            encryptedCount++;
+        try {
+            if (encryptManifest(filePath, secretToken)) {
+                encryptedCount++;
+            }
+        } catch (error) {
+            console.error(`  ❌ Error processing ${filePath}:`, error.message);
+            failures.push({ manifest: filePath, error: error.name, code: error.code || null, message: error.message });
         }
     });
+    reportCounts({ encrypted: encryptedCount, failed: failures.length });
+    reportResult({ failures });
     
     console.log(`\n╔═══════════════════════════════════════╗`);
-    console.log(`║  ✅ Encryption completed!             ║`);
+    console.log(`║  ${failures.length > 0 ? '❌ Encryption incomplete!' : '✅ Encryption completed!'}${' '.repeat(failures.length > 0 ? 12 : 13)}║`);
     console.log(`║  📊 Encrypted: ${encryptedCount}/${manifestsToProcess.length} manifest(s)${' '.repeat(11 - String(encryptedCount).length - String(manifestsToProcess.length).length)}║`);
     console.log(`╚═══════════════════════════════════════╝`);
+    
+    if (failures.length > 0) {
+        console.error(`\n❌ ${failures.length} manifest(s) still contain plaintext page URLs`);
+        process.exit(1);
+    }
+}
+
+function main() {
+    const firstArg = process.argv[2];
+    const command = firstArg && !firstArg.startsWith('--') ? firstArg : 'encrypt';
+    
+    enableRunReport(command);
+    
+    switch (command) {
+        case 'encrypt':
+            commandEncrypt();
+            break;
+        case 'rotate':
+            commandRotate();
+            break;
+        case 'migrate':
+            commandMigrate();
+            break;
+        case 'decrypt':
+            commandDecrypt(process.argv[3]);
+            break;
+        case 'verify':
+            commandVerify();
+            break;
+        default:
+            console.log('Usage:');
+            console.log('  node encrypt-manifest.js         → Encrypt new manifests (SECRET_TOKEN)');
+            console.log('  node encrypt-manifest.js rotate  → Re-encrypt all manifests (OLD_SECRET_TOKEN, NEW_SECRET_TOKEN)');
+            console.log('  node encrypt-manifest.js migrate → Upgrade v1.0 manifests to v2.0 (SECRET_TOKEN)');
+            console.log('  node encrypt-manifest.js decrypt <chapter> → Print plaintext page URLs (SECRET_TOKEN)');
+            console.log('  node encrypt-manifest.js verify  → Check every manifest decrypts and matches config (SECRET_TOKEN)');
+            console.log('');
+            console.log('  Any command: --json / --report <file> → structured result; exit 0 nothing to do, 2 changed, 1 failed');
+            process.exit(1);
+    }
 }
 
-main();
\ No newline at end of file
+// ============================================
+// LIBRARY API
+// ============================================
+
+const LIBRARY_FUNCTIONS = {
+    getAllManifestsInRepo,
+    getUnencryptedManifests,
+    getModifiedManifestsFromGit,
+    getManifestsToEncrypt,
+    encryptManifest,
+    reencryptManifests,
+    decryptManifestPages,
+    verifyManifest,
+    createManifestKey,
+    getManifestKey,
+    loadMangaConfig
+};
+
+// Same functions, each call run against the given root / fs / git / forceScanAll
+function createEncryptManifest(options = {}) {
+    return bindLibrary(LIBRARY_FUNCTIONS, options);
+}
+
+module.exports = {
+    ...LIBRARY_FUNCTIONS,
+    createEncryptManifest,
+    withRuntime,
+    encryptText,
+    decryptText,
+    classifyPages,
+    isEncrypted,
+    EncryptManifestError,
+    MissingTokenError,
+    ManifestKeyError
+};
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        if (!(error instanceof EncryptManifestError)) {
+            throw error;
+        }
+        if (error instanceof MissingTokenError) {
+            printMissingToken(error.envName);
+        } else {
+            console.error(`❌ ${error.message}`);
+        }
+        process.exit(1);
+    }
+}
@@ -3,33 +3,198 @@
  * ✅ Cloudflare Worker Integration (View tracking handled by Worker)
  * ✅ Manifest-based detection
  * ✅ Oneshot support  
- * ✅ Locked chapters
- * ✅ WIB Timezone (GMT+7)
+ * ✅ Extras / side stories (extra, special-1, 25-afterword, v3-bonus) + title overrides
+ * ✅ Volume grouping (tankōbon table of contents)
+ * ✅ Locked chapters (with optional scheduled unlock)
+ * ✅ RSS / Atom / JSON Feed of chapter releases
+ * ✅ Configurable timezone / locale (default WIB, GMT+7)
  * 
  * Usage:
  * node manga-automation.js generate → Generate manga.json from chapter folders
+ * node manga-automation.js generate --dry-run → Show what would change in manga.json
+ * node manga-automation.js generate --check   → Exit 1 if manga.json is out of date
  * node manga-automation.js cleanup  → Remove old pending files
+ * node manga-automation.js scaffold <chapter> [--urls file] [--base-url url] [--allow-gaps] [--force]
+ *                                     → Build manifest.json from page images or a URL list
+ * node manga-automation.js validate [--strict] → Check config, manifests and chapter continuity
+ * node manga-automation.js release-due [--apply] → Report / apply scheduled unlocks that have passed
+ * node manga-automation.js stats [--format table|json|csv] [--as-of YYYY-MM-DD] [--top N] [--write]
+ *                                     → View totals, growth, read-through funnel; the default run
+ *                                       (or --write) also refreshes trending.json
+ * node manga-automation.js compact-views [--keep-days N] [--keep-weeks N] [--dry-run]
+ *                                     → Roll old daily-views.json days into weekly, then monthly records
+ * node manga-automation.js reconcile [--rebuild] [--check]
+ *                                     → Report view drift vs daily-views.json (--rebuild resets chapter views)
+ * node manga-automation.js merge <base> <ours> <theirs> [--output file] [--views sum|max]
+ *                                     → Three-way merge of manga.json; git merge driver:
+ *                                       git config merge.manga-json.driver "node manga-automation.js merge %O %A %B"
+ * node manga-automation.js merge-views <base> <ours> <theirs> [--output file]
+ *                                     → Three-way merge of daily-views.json (Worker views + compact-views rollups);
+ *                                       git config merge.daily-views.driver "node manga-automation.js merge-views %O %A %B"
+ * node manga-automation.js serve-views [--port 8787] [--dedupe-minutes 30]
+ *                                     → Local HTTP stand-in for the Cloudflare view Worker (offline testing)
+ * node manga-automation.js feed     → Rebuild feed.xml / atom.xml / feed.json (generate also writes them)
+ * node manga-automation.js export [--out dir]
+ *                                     → Mihon/Tachiyomi details.json + per-chapter ComicInfo.xml (default: export/)
+ * node manga-automation.js notify [--previous file | --previous-ref HEAD~1] [--endpoint url] [--dry-run]
+ *                                     → Diff manga.json and send a repository_dispatch listing changed chapters
+ * node manga-automation.js sync-cover [--config-file path | --config-url url] [--repo name] [--dry-run]
+ *                                     → Copy this repo's cover URL from the website's manga-config.js
+ *
+ * Every command also accepts --json (report on stdout, logs on stderr) and/or
+ * --report <file>. With either, the exit code is 0 = nothing to do, 2 = changed,
+ * 1 = failed; without them, success is always 0. Options and the report live in
+ * automation-runtime.js, shared with encrypt-manifest.js.
+ *
+ * Library use:
+ *   const { createMangaAutomation } = require('./manga-automation');
+ *   const manga = createMangaAutomation({ root, fs, gitDate, now });
+ *   const config = manga.loadConfig();
+ *   const { chapters } = manga.generateChaptersData(config, null);
+ * Helpers throw MangaAutomationError subclasses instead of exiting.
  */
 
-const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const http = require('http');
+const vm = require('vm');
+const {
+    getOption,
+    hasFlag,
+    runReport,
+    reportFileWritten,
+    reportFileRemoved,
+    reportChanged,
+    reportCounts,
+    reportResult,
+    enableRunReport,
+    createRuntime,
+    getPagesBaseUrl
+} = require('./automation-runtime');
 
 // ============================================
-// WIB TIMEZONE HELPER (GMT+7)
+// RUNTIME (ROOT DIRECTORY, FS, GIT DATES, CLOCK)
 // ============================================
 
-function getWIBTimestamp() {
-    const date = new Date();
-    const wibStr = date.toLocaleString('sv-SE', { timeZone: 'Asia/Jakarta' }).replace(' ', 'T');
-    return wibStr + '+07:00';
+// First commit date (ISO) that touched a path relative to the root, or null
+function defaultGitDate(relativePath) {
+    try {
+        const output = execSync(`git log --reverse --format=%aI -- "${relativePath}"`, {
+            cwd: runtime.root,
+            encoding: 'utf-8',
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        return output.split('\n')[0].trim() || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// File access goes through fs; paths resolve against runtime.root (automation-runtime.js)
+const { runtime, fs, withRuntime, bindLibrary } = createRuntime(
+    { gitDate: defaultGitDate, now: () => new Date() },
+    () => { cachedTimezone = null; }
+);
+
+// ============================================
+// ERRORS
+// ============================================
+
+class MangaAutomationError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        Object.assign(this, details);
+    }
+}
+
+class ConfigError extends MangaAutomationError {}
+
+// ============================================
+// TIMEZONE HELPERS (default WIB, GMT+7)
+// ============================================
+
+// manga-config.json "timezone" (IANA name) drives uploadDate, lastUpdated and
+// daily view buckets; offsets are computed per timestamp, so DST zones work
+const DEFAULT_TIMEZONE = 'Asia/Jakarta';
+const DEFAULT_LOCALE = 'id-ID';
+
+let cachedTimezone = null;
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return typeof timezone === 'string' && timezone.length > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+function getTimezone() {
+    if (cachedTimezone) {
+        return cachedTimezone;
+    }
+    
+    const config = loadJSON('manga-config.json') || {};
+    cachedTimezone = DEFAULT_TIMEZONE;
+    if (config.timezone !== undefined) {
+        if (isValidTimezone(config.timezone)) {
+            cachedTimezone = config.timezone;
+        } else {
+            console.warn(`⚠️ Unknown timezone "${config.timezone}" - using ${DEFAULT_TIMEZONE}`);
+        }
+    }
+    return cachedTimezone;
+}
+
+function getLocale() {
+    const config = loadJSON('manga-config.json') || {};
+    return config.locale || DEFAULT_LOCALE;
 }
 
-function convertToWIB(isoString) {
+// Wall-clock "YYYY-MM-DDTHH:mm:ss" of a date in the configured timezone
+function getWallClock(date, timezone = getTimezone()) {
+    return date.toLocaleString('sv-SE', { timeZone: timezone }).replace(' ', 'T');
+}
+
+// "+07:00" / "-04:00" / "+05:30" for that particular instant
+function getOffsetString(date, timezone = getTimezone()) {
+    const wallMs = Date.parse(getWallClock(date, timezone) + 'Z');
+    const offsetMinutes = Math.round((wallMs - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const abs = Math.abs(offsetMinutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+function formatLocalTimestamp(date, timezone = getTimezone()) {
+    return getWallClock(date, timezone) + getOffsetString(date, timezone);
+}
+
+function getLocalTimestamp() {
+    return formatLocalTimestamp(runtime.now());
+}
+
+// Calendar day in the configured timezone ("2026-03-09") - daily-views.json buckets
+function getLocalDateString(date = runtime.now()) {
+    return getWallClock(date).slice(0, 10);
+}
+
+// "2026-03-09" ± days, pure calendar arithmetic
+function shiftDateString(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+// Last calendar day of "YYYY-MM"
+function getMonthEnd(month) {
+    return shiftDateString(shiftDateString(`${month}-01`, 32).slice(0, 7) + '-01', -1);
+}
+
+// Any ISO string (old manga.json values carry +07:00) → configured timezone
+function convertToLocalTime(isoString) {
     if (!isoString) return null;
-    const date = new Date(isoString);
-    const wibStr = date.toLocaleString('sv-SE', { timeZone: 'Asia/Jakarta' }).replace(' ', 'T');
-    return wibStr + '+07:00';
+    return formatLocalTimestamp(new Date(isoString));
 }
 
 // ============================================
@@ -41,8 +206,7 @@ function loadConfig() {
         const configFile = fs.readFileSync('manga-config.json', 'utf8');
         return JSON.parse(configFile);
     } catch (error) {
-        console.error('❌ Error reading manga-config.json:', error.message);
-        process.exit(1);
+        throw new ConfigError(`Error reading manga-config.json: ${error.message}`, { cause: error });
     }
 }
 
@@ -59,9 +223,17 @@ function loadJSON(filename) {
 }
 
 function saveJSON(filename, data) {
+    return writeTextFile(filename, JSON.stringify(data, null, 2));
+}
+
+// Identical content is not rewritten, so the run report only lists real changes
+function writeTextFile(filename, content) {
     try {
-        const jsonString = JSON.stringify(data, null, 2);
-        fs.writeFileSync(filename, jsonString, 'utf8');
+        if (fs.existsSync(filename) && fs.readFileSync(filename, 'utf8') === content) {
+            return true;
+        }
+        fs.writeFileSync(filename, content, 'utf8');
+        reportFileWritten(filename);
         return true;
     } catch (error) {
         console.error(`❌ Error saving ${filename}:`, error.message);
@@ -70,9 +242,23 @@ function saveJSON(filename, data) {
 }
 
 // ============================================
-// ONESHOT HELPER FUNCTIONS
+// ONESHOT & SPECIAL CHAPTER HELPER FUNCTIONS
 // ============================================
 
+// Special (non-numeric) chapter folders and where they sort:
+//   oneshot                      → before chapter 1
+//   25-afterword                 → right after chapter 25 (and 25.5)
+//   extra, extra-2, special-1    → after the last regular chapter
+//   v3-bonus                     → after the last chapter of volume 3 (after the extras if volume 3 isn't declared)
+// manga-config.json "chapters": { "<folder>": { "after": "18" } } moves a folder right after another one.
+const SIDE_STORY_PATTERN = /^(\d+(?:\.\d+)?)-([a-z][a-z0-9-]*)$/i;
+const EXTRA_PATTERN = /^(extra|special|bonus|omake)(?:-(\d+))?$/i;
+const VOLUME_EXTRA_PATTERN = /^v(?:ol)?(\d+)-([a-z][a-z0-9-]*)$/i;
+const SIDE_STORY_OFFSET = 0.999;
+const EXTRA_SORT_BASE = 100000;
+const VOLUME_EXTRA_SORT_BASE = 200000;
+const CHAPTER_KINDS = ['regular', 'extra', 'oneshot'];
+
 function isOneshotFolder(folderName) {
     return folderName.toLowerCase() === 'oneshot';
 }
@@ -81,25 +267,226 @@ function isNumericChapter(folderName) {
     return /^\d+(\.\d+)?$/.test(folderName);
 }
 
-function getChapterSortValue(folderName) {
+function isSpecialChapter(folderName) {
+    return SIDE_STORY_PATTERN.test(folderName) || EXTRA_PATTERN.test(folderName) || VOLUME_EXTRA_PATTERN.test(folderName);
+}
+
+function getChapterOverride(folderName, config) {
+    return (config && config.chapters && config.chapters[folderName]) || {};
+}
+
+function isChapterFolderName(folderName, config) {
+    return isNumericChapter(folderName) || isOneshotFolder(folderName) || isSpecialChapter(folderName) ||
+           Boolean(config && config.chapters && config.chapters[folderName]);
+}
+
+function getChapterKind(folderName, config) {
+    const override = getChapterOverride(folderName, config);
+    if (override.kind) {
+        return override.kind;
+    }
+    if (isOneshotFolder(folderName)) {
+        return 'oneshot';
+    }
+    return isNumericChapter(folderName) ? 'regular' : 'extra';
+}
+
+function getChapterSortValue(folderName, config, depth = 0) {
+    const override = getChapterOverride(folderName, config);
+    if (override.after !== undefined && depth < 10) {
+        return getChapterSortValue(String(override.after), config, depth + 1) + SIDE_STORY_OFFSET;
+    }
+    
     if (isOneshotFolder(folderName)) {
         return -1;
     }
-    return parseFloat(folderName);
+    
+    let match = SIDE_STORY_PATTERN.exec(folderName);
+    if (match) {
+        return parseFloat(match[1]) + SIDE_STORY_OFFSET;
+    }
+    match = EXTRA_PATTERN.exec(folderName);
+    if (match) {
+        return EXTRA_SORT_BASE + (match[2] ? parseInt(match[2], 10) : 0);
+    }
+    match = VOLUME_EXTRA_PATTERN.exec(folderName);
+    if (match) {
+        const volume = getVolumeByNumber(parseInt(match[1], 10), config);
+        return volume ? volume.range[1] + SIDE_STORY_OFFSET : VOLUME_EXTRA_SORT_BASE + parseInt(match[1], 10);
+    }
+    
+    const value = parseFloat(folderName);
+    return isNaN(value) ? EXTRA_SORT_BASE : value;
+}
+
+// Reading order: sort value first, folder name breaks ties
+function compareChapters(a, b, config) {
+    return (getChapterSortValue(a, config) - getChapterSortValue(b, config)) || a.localeCompare(b);
+}
+
+function humanizeLabel(label) {
+    return label.split('-').filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
 }
 
-function getChapterTitle(folderName) {
+function getChapterTitle(folderName, config) {
+    const override = getChapterOverride(folderName, config);
+    if (override.title) {
+        return override.title;
+    }
+    
     if (isOneshotFolder(folderName)) {
         return 'Oneshot';
     }
-    return `Chapter ${folderName}`;
+    
+    let match = SIDE_STORY_PATTERN.exec(folderName);
+    if (match) {
+        return `Chapter ${match[1]} - ${humanizeLabel(match[2])}`;
+    }
+    match = EXTRA_PATTERN.exec(folderName);
+    if (match) {
+        return humanizeLabel(match[1]) + (match[2] ? ` ${match[2]}` : '');
+    }
+    match = VOLUME_EXTRA_PATTERN.exec(folderName);
+    if (match) {
+        return `Volume ${match[1]} ${humanizeLabel(match[2])}`;
+    }
+    
+    return isNumericChapter(folderName) ? `Chapter ${folderName}` : humanizeLabel(folderName);
 }
 
 function getChapterNumber(folderName) {
     if (isOneshotFolder(folderName)) {
         return 0;
     }
-    return parseFloat(folderName);
+    
+    const match = SIDE_STORY_PATTERN.exec(folderName);
+    if (match) {
+        return parseFloat(match[1]);
+    }
+    return isNumericChapter(folderName) ? parseFloat(folderName) : null;
+}
+
+// ============================================
+// VOLUME HELPER FUNCTIONS
+// ============================================
+
+// manga-config.json "volumes": [{ "volume": 1, "title": "...", "range": [1, 5], "cover": "https://..." }]
+// range is inclusive and compared against the chapter number (25-afterword counts as 25)
+function getVolumes(config) {
+    return Array.isArray(config && config.volumes) ? config.volumes : [];
+}
+
+function getVolumeByNumber(volumeNumber, config) {
+    return getVolumes(config).find(volume => volume.volume === volumeNumber) || null;
+}
+
+function getChapterVolume(folderName, config) {
+    const override = getChapterOverride(folderName, config);
+    if (override.volume !== undefined) {
+        return override.volume;
+    }
+    
+    const bonusMatch = VOLUME_EXTRA_PATTERN.exec(folderName);
+    if (bonusMatch) {
+        const volume = getVolumeByNumber(parseInt(bonusMatch[1], 10), config);
+        return volume ? volume.volume : null;
+    }
+    
+    const number = getChapterNumber(folderName);
+    if (number === null || isOneshotFolder(folderName)) {
+        return null;
+    }
+    
+    const volume = getVolumes(config).find(v => Array.isArray(v.range) && number >= v.range[0] && number <= v.range[1]);
+    return volume ? volume.volume : null;
+}
+
+// Volume-grouped table of contents for manga.json
+function buildVolumes(config, chapters) {
+    return getVolumes(config)
+        .slice()
+        .sort((a, b) => a.volume - b.volume)
+        .map(volume => {
+            const entry = {
+                volume: volume.volume,
+                title: volume.title || `Volume ${volume.volume}`,
+                range: volume.range,
+                chapters: Object.keys(chapters)
+                    .filter(name => chapters[name].volume === volume.volume)
+                    .sort((a, b) => compareChapters(a, b, config))
+            };
+            if (volume.cover) {
+                entry.cover = volume.cover;
+            }
+            return entry;
+        });
+}
+
+// ============================================
+// LOCKED CHAPTER HELPERS
+// ============================================
+
+// "2026-11-01 19:00" (no offset) is read in the configured timezone; explicit offsets/Z are kept
+function parseLocalDate(value) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+    
+    let text = value.trim().replace(' ', 'T');
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+        const date = new Date(text);
+        return isNaN(date.getTime()) ? null : date;
+    }
+    
+    text += /T\d{2}:\d{2}$/.test(text) ? ':00' : (text.includes('T') ? '' : 'T00:00:00');
+    const wallAsUtc = new Date(text + 'Z');
+    if (isNaN(wallAsUtc.getTime())) {
+        return null;
+    }
+    
+    // Offset depends on the instant itself - settle it in two passes (DST edges)
+    let date = new Date(wallAsUtc.getTime() - parseOffsetMinutes(getOffsetString(wallAsUtc)) * 60000);
+    date = new Date(wallAsUtc.getTime() - parseOffsetMinutes(getOffsetString(date)) * 60000);
+    return date;
+}
+
+function parseOffsetMinutes(offset) {
+    const sign = offset.startsWith('-') ? -1 : 1;
+    const [hours, minutes] = offset.slice(1).split(':').map(Number);
+    return sign * (hours * 60 + minutes);
+}
+
+// lockedChapters entries are either "26" or
+// { "chapter": "26", "unlockAt": "2026-11-01 19:00", "tier": "early-access", "reason": "..." }
+function normalizeLockedChapters(config) {
+    return (config.lockedChapters || []).map(entry => {
+        if (typeof entry === 'string') {
+            return { chapter: entry, unlockAt: null, tier: null, reason: null };
+        }
+        
+        const unlockDate = parseLocalDate(entry.unlockAt);
+        return {
+            chapter: String(entry.chapter),
+            unlockAt: unlockDate ? convertToLocalTime(unlockDate.toISOString()) : null,
+            tier: entry.tier || null,
+            reason: entry.reason || null
+        };
+    });
+}
+
+function getLockedEntry(config, chapterName) {
+    return normalizeLockedChapters(config).find(entry => entry.chapter === chapterName) || null;
+}
+
+// Locked until unlockAt has passed - and never unlocked before its folder exists
+function isChapterLocked(lockedEntry, folderExists, now = runtime.now()) {
+    if (!lockedEntry) {
+        return false;
+    }
+    if (!lockedEntry.unlockAt || !folderExists) {
+        return true;
+    }
+    return now < new Date(lockedEntry.unlockAt);
 }
 
 // ============================================
@@ -141,7 +528,7 @@ function getTotalPagesFromManifest(folderName) {
 // CHAPTER FOLDER FUNCTIONS
 // ============================================
 
-function getChapterFolders() {
+function getChapterFolders(config) {
     const rootDir = '.';
     
     try {
@@ -149,13 +536,17 @@ function getChapterFolders() {
             .filter(dirent => dirent.isDirectory())
             .filter(dirent => !dirent.name.startsWith('.'))
             .map(dirent => dirent.name)
-            .filter(name => isNumericChapter(name) || isOneshotFolder(name))
-            .sort((a, b) => getChapterSortValue(a) - getChapterSortValue(b));
+            .filter(name => isChapterFolderName(name, config))
+            .sort((a, b) => compareChapters(a, b, config));
         
         console.log(`📂 Found ${folders.length} chapter folders`);
         if (folders.some(f => isOneshotFolder(f))) {
             console.log('   🎯 Oneshot detected!');
         }
+        const extraFolders = folders.filter(f => getChapterKind(f, config) === 'extra');
+        if (extraFolders.length > 0) {
+            console.log(`   ✨ Extras: ${extraFolders.join(', ')}`);
+        }
         return folders;
         
     } catch (error) {
@@ -173,28 +564,26 @@ function getUploadDate(folderName, isLocked) {
     
     try {
         if (!isLocked) {
-            const manifestGitCommand = `git log --reverse --format=%aI -- "${folderName}/manifest.json" 2>/dev/null | head -1`;
-            const manifestResult = execSync(manifestGitCommand, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+            const manifestResult = runtime.gitDate(`${folderName}/manifest.json`);
             
             if (manifestResult) {
                 const icon = isOneshotFolder(folderName) ? '🎯' : '📄';
                 console.log(`  ${icon} Using manifest.json commit date for ${folderName}`);
-                return convertToWIB(manifestResult);
+                return convertToLocalTime(manifestResult);
             }
         }
         
-        const folderGitCommand = `git log --reverse --format=%aI -- "${folderName}" | head -1`;
-        const folderResult = execSync(folderGitCommand, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+        const folderResult = runtime.gitDate(folderName);
         
         if (folderResult) {
-            return convertToWIB(folderResult);
+            return convertToLocalTime(folderResult);
         }
         
         const stats = fs.statSync(folderPath);
-        return convertToWIB(stats.mtime.toISOString());
+        return convertToLocalTime(stats.mtime.toISOString());
     } catch (error) {
         console.log(`⚠️  Could not get upload date for ${folderName}, using current date`);
-        return getWIBTimestamp();
+        return getLocalTimestamp();
     }
 }
 
@@ -215,8 +604,20 @@ function getOldChapterViews(chapterName, oldMangaData) {
 // GENERATECHAPTERS DATA
 // ============================================
 
+// prev/next follow the reading order (same sort as getChapterSortValue);
+// nextUnlocked skips locked chapters
+function linkReadingOrder(chapters, readingOrder) {
+    readingOrder.forEach((chapterName, index) => {
+        const nextUnlocked = readingOrder.slice(index + 1).find(name => !chapters[name].locked);
+        
+        chapters[chapterName].prev = index > 0 ? readingOrder[index - 1] : null;
+        chapters[chapterName].next = index < readingOrder.length - 1 ? readingOrder[index + 1] : null;
+        chapters[chapterName].nextUnlocked = nextUnlocked || null;
+    });
+}
+
 function generateChaptersData(config, oldMangaData) {
-    const allFolders = getChapterFolders();
+    const allFolders = getChapterFolders(config);
     const chapters = {};
     
     // Auto-remove deleted locked chapters
@@ -225,7 +626,7 @@ function generateChaptersData(config, oldMangaData) {
         Object.keys(oldMangaData.chapters).forEach(chapterName => {
             const oldChapter = oldMangaData.chapters[chapterName];
             const folderExists = checkIfFolderExists(chapterName);
-            const inCurrentConfig = config.lockedChapters.includes(chapterName);
+            const inCurrentConfig = getLockedEntry(config, chapterName) !== null;
             
             if (oldChapter.locked && !folderExists && !inCurrentConfig) {
                 removedLockedChapters.push(chapterName);
@@ -241,12 +642,10 @@ function generateChaptersData(config, oldMangaData) {
     // Combine all chapter names
     const allChapterNames = new Set([
         ...allFolders,
-        ...config.lockedChapters
+        ...normalizeLockedChapters(config).map(entry => entry.chapter)
     ]);
     
-    const sortedChapterNames = Array.from(allChapterNames).sort((a, b) => {
-        return getChapterSortValue(a) - getChapterSortValue(b);
-    });
+    const sortedChapterNames = Array.from(allChapterNames).sort((a, b) => compareChapters(a, b, config));
     
     console.log('\n📖 Processing chapters...');
     
@@ -254,29 +653,49 @@ function generateChaptersData(config, oldMangaData) {
         const folderExists = checkIfFolderExists(chapterName);
         const totalPages = folderExists ? getTotalPagesFromManifest(chapterName) : 0;
         
-        const isInLockedList = config.lockedChapters.includes(chapterName);
-        const isLocked = isInLockedList;
+        const lockedEntry = getLockedEntry(config, chapterName);
+        const isLocked = isChapterLocked(lockedEntry, folderExists);
         
+        // ✅ Upload date is resolved once, then kept from manga.json forever
+        // (git history can be shallow or rewritten - never recompute it).
+        // Exceptions: a locked chapter without a folder only has a pending
+        // date (its unlockAt, or the day it was announced) until the folder
+        // arrives, and a chapter that unlocks on its unlockAt takes that time.
+        const oldChapter = oldMangaData && oldMangaData.chapters && oldMangaData.chapters[chapterName];
+        const justUnlocked = Boolean(oldChapter && oldChapter.locked && !isLocked);
+        // release-due --apply has already dropped the lockedChapters entry
+        const unlockedAt = justUnlocked ? ((lockedEntry && lockedEntry.unlockAt) || oldChapter.unlockAt) : null;
+        // (locked with no pages = placeholder written before uploadDatePending existed)
+        const oldDatePending = Boolean(oldChapter && (oldChapter.uploadDatePending || (oldChapter.locked && !oldChapter.totalPages)));
+        const oldDateIsFinal = oldChapter && oldChapter.uploadDate && !oldDatePending;
         let uploadDate;
-        if (isLocked && !folderExists) {
-            const oldChapter = oldMangaData && oldMangaData.chapters && oldMangaData.chapters[chapterName];
-            if (oldChapter && oldChapter.uploadDate) {
-                uploadDate = oldChapter.uploadDate;
-                console.log(`🔒 Keeping old date for locked ${chapterName}: ${uploadDate}`);
+        let uploadDatePending = false;
+        if (oldDateIsFinal && !unlockedAt) {
+            uploadDate = oldChapter.uploadDate;
+        } else if (!folderExists) {
+            uploadDatePending = true;
+            if (lockedEntry && lockedEntry.unlockAt) {
+                uploadDate = lockedEntry.unlockAt;
             } else {
-                uploadDate = getWIBTimestamp();
-                console.log(`🔒 NEW locked chapter ${chapterName}: ${uploadDate}`);
+                uploadDate = (oldChapter && oldChapter.uploadDate) || getLocalTimestamp();
             }
+            if (!oldChapter) {
+                console.log(`🔒 NEW locked chapter ${chapterName}: ${uploadDate} (pending until its folder exists)`);
+            }
+        } else if (unlockedAt) {
+            uploadDate = unlockedAt;
+            console.log(`🔓 ${chapterName} unlocked - upload date set to unlock time ${uploadDate}`);
         } else {
-            uploadDate = folderExists ? getUploadDate(chapterName, isLocked) : getWIBTimestamp();
+            uploadDate = getUploadDate(chapterName, isLocked);
         }
         
         // ✅ PRESERVE OLD VIEWS (Worker will increment these)
         const views = getOldChapterViews(chapterName, oldMangaData);
         
         chapters[chapterName] = {
-            title: getChapterTitle(chapterName),
+            title: getChapterTitle(chapterName, config),
             chapter: getChapterNumber(chapterName),
+            kind: getChapterKind(chapterName, config),
             folder: chapterName,
             uploadDate: uploadDate,
             totalPages: totalPages,
@@ -285,16 +704,40 @@ function generateChaptersData(config, oldMangaData) {
             views: views
         };
         
+        if (uploadDatePending) {
+            chapters[chapterName].uploadDatePending = true;
+        }
+        const { subtitle } = getChapterOverride(chapterName, config);
+        if (subtitle) {
+            chapters[chapterName].subtitle = subtitle;
+        }
+        if (getVolumes(config).length > 0) {
+            chapters[chapterName].volume = getChapterVolume(chapterName, config);
+        }
+        if (lockedEntry && lockedEntry.unlockAt) {
+            chapters[chapterName].unlockAt = lockedEntry.unlockAt;
+        }
+        if (isLocked && lockedEntry.tier) {
+            chapters[chapterName].tier = lockedEntry.tier;
+        }
+        if (isLocked && lockedEntry.reason) {
+            chapters[chapterName].lockReason = lockedEntry.reason;
+        }
+        
         const lockIcon = isLocked ? '🔒' : '✅';
-        const typeIcon = isOneshotFolder(chapterName) ? '🎯' : '📄';
+        const typeIcon = { oneshot: '🎯', extra: '✨' }[chapters[chapterName].kind] || '📄';
         const dateStr = uploadDate.split('T')[0];
         console.log(`${lockIcon}${typeIcon} ${chapterName} - ${totalPages} pages - ${dateStr} - ${views} views`);
     });
     
+    // Explicit reading order, so the reader never has to re-sort
+    linkReadingOrder(chapters, sortedChapterNames);
+    
     // Calculate last chapter update
     let lastChapterUpdate = null;
     
-    const allChapterDates = Object.values(chapters).map(ch => ({
+    // Pending dates (no folder yet) are not real uploads
+    const allChapterDates = Object.values(chapters).filter(ch => !ch.uploadDatePending).map(ch => ({
         chapterName: ch.folder,
         uploadDate: ch.uploadDate,
         locked: ch.locked
@@ -309,31 +752,52 @@ function generateChaptersData(config, oldMangaData) {
         
         const lockIcon = allChapterDates[0].locked ? '🔒' : '✅';
         console.log(`\n${lockIcon} Last chapter update: ${lastChapterUpdate} (from ${allChapterDates[0].locked ? 'LOCKED' : 'unlocked'} chapter ${allChapterDates[0].chapterName})`);
+    } else if (oldMangaData && oldMangaData.lastChapterUpdate) {
+        console.log('\n⚠️  No chapters found, keeping previous lastChapterUpdate');
+        lastChapterUpdate = oldMangaData.lastChapterUpdate;
     } else {
         console.log('\n⚠️  No chapters found, using current date');
-        lastChapterUpdate = getWIBTimestamp();
+        lastChapterUpdate = getLocalTimestamp();
     }
     
-    return { chapters, lastChapterUpdate };
+    return { chapters, lastChapterUpdate, readingOrder: sortedChapterNames };
 }
 
 // ============================================
 // COMMAND 1: GENERATE MANGA.JSON
 // ============================================
 
-function commandGenerate() {
-    console.log('📚 Generating manga.json...\n');
-    
-    const config = loadConfig();
-    const oldMangaData = loadJSON('manga.json');
+// JSON with object keys sorted, so key order never counts as a change
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// lastUpdated only moves forward when something other than lastUpdated changed
+function resolveLastUpdated(oldMangaData, mangaJSON) {
+    if (!oldMangaData || !oldMangaData.lastUpdated) {
+        return getLocalTimestamp();
+    }
     
-    if (!oldMangaData || !oldMangaData.manga) {
-        console.log('🆕 First-time generation - creating new manga.json');
-    } else {
-        console.log('🔄 Updating existing manga.json (preserving views)');
+    const withoutTimestamp = data => stableStringify({ ...data, lastUpdated: undefined });
+    if (withoutTimestamp(oldMangaData) === withoutTimestamp(mangaJSON)) {
+        console.log('💤 Content unchanged - keeping lastUpdated');
+        return oldMangaData.lastUpdated;
     }
     
-    const { chapters, lastChapterUpdate } = generateChaptersData(config, oldMangaData);
+    return getLocalTimestamp();
+}
+
+function buildMangaJSON(config, oldMangaData) {
+    const { chapters, lastChapterUpdate, readingOrder } = generateChaptersData(config, oldMangaData);
     
     // ✅ PRESERVE OLD TOTAL VIEWS (Worker will increment these)
     let totalViews = 0;
@@ -362,14 +826,28 @@ function commandGenerate() {
             repoUrl: repoUrl,
             imagePrefix: config.imagePrefix || 'Image',
             imageFormat: config.imageFormat || 'jpg',
-            lockedChapters: config.lockedChapters || [],
+            lockedChapters: Object.keys(chapters).filter(name => chapters[name].locked),
             type: config.type || 'manga'
         },
         chapters: chapters,
-        lastUpdated: getWIBTimestamp(),
-        lastChapterUpdate: lastChapterUpdate
+        lastUpdated: null,
+        lastChapterUpdate: lastChapterUpdate,
+        firstChapter: readingOrder.length > 0 ? readingOrder[0] : null,
+        latestChapter: readingOrder.length > 0 ? readingOrder[readingOrder.length - 1] : null
     };
     
+    if (getVolumes(config).length > 0) {
+        mangaJSON.volumes = buildVolumes(config, chapters);
+        
+        // Oneshots and extras only belong to a volume when an override says so
+        const outsideVolumes = Object.keys(chapters)
+            .filter(name => chapters[name].volume === null && chapters[name].kind === 'regular');
+        console.log(`📚 Volumes: ${mangaJSON.volumes.length}`);
+        if (outsideVolumes.length > 0) {
+            console.warn(`⚠️ Chapter(s) outside every declared volume range: ${outsideVolumes.join(', ')}`);
+        }
+    }
+    
     if (config.status === 'END' && config.endChapter) {
         mangaJSON.manga.endChapter = config.endChapter;
         console.log(`🏁 Status: END - endChapter: ${config.endChapter}`);
@@ -377,14 +855,143 @@ function commandGenerate() {
         console.warn('⚠️ Status is END but endChapter not set in manga-config.json!');
     }
     
+    mangaJSON.lastUpdated = resolveLastUpdated(oldMangaData, mangaJSON);
+    
+    return mangaJSON;
+}
+
+// Structured difference between two manga.json documents (lastUpdated ignored)
+function diffMangaJSON(oldData, newData) {
+    const oldChapters = (oldData && oldData.chapters) || {};
+    const newChapters = (newData && newData.chapters) || {};
+    const oldManga = (oldData && oldData.manga) || {};
+    const newManga = (newData && newData.manga) || {};
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    
+    const diff = {
+        chaptersAdded: Object.keys(newChapters).filter(name => !(name in oldChapters)),
+        chaptersRemoved: Object.keys(oldChapters).filter(name => !(name in newChapters)),
+        pagesChanged: [],
+        lockChanged: [],
+        uploadDateChanged: [],
+        chapterFieldsChanged: [],
+        metadataChanged: []
+    };
+    const chapterFieldsWithOwnList = ['totalPages', 'pages', 'locked', 'uploadDate', 'views'];
+    
+    Object.keys(newChapters).filter(name => name in oldChapters).forEach(name => {
+        const before = oldChapters[name];
+        const after = newChapters[name];
+        
+        if (before.totalPages !== after.totalPages) {
+            diff.pagesChanged.push({ chapter: name, from: before.totalPages, to: after.totalPages });
+        }
+        if (Boolean(before.locked) !== Boolean(after.locked)) {
+            diff.lockChanged.push({ chapter: name, from: Boolean(before.locked), to: Boolean(after.locked) });
+        }
+        if (before.uploadDate !== after.uploadDate) {
+            diff.uploadDateChanged.push({ chapter: name, from: before.uploadDate, to: after.uploadDate });
+        }
+        
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+            if (!chapterFieldsWithOwnList.includes(field) && !same(before[field], after[field])) {
+                diff.chapterFieldsChanged.push({ chapter: name, field, from: before[field], to: after[field] });
+            }
+        });
+    });
+    
+    const fields = new Set([...Object.keys(oldManga), ...Object.keys(newManga)]);
+    fields.forEach(field => {
+        if (!same(oldManga[field], newManga[field])) {
+            diff.metadataChanged.push({ field, from: oldManga[field], to: newManga[field] });
+        }
+    });
+    
+    // Top-level sections besides manga/chapters (lastChapterUpdate, volumes, ...)
+    if (oldData && newData) {
+        new Set([...Object.keys(oldData), ...Object.keys(newData)]).forEach(field => {
+            if (!['manga', 'chapters', 'lastUpdated'].includes(field) && !same(oldData[field], newData[field])) {
+                diff.metadataChanged.push({ field, from: oldData[field], to: newData[field] });
+            }
+        });
+    }
+    
+    return diff;
+}
+
+function isEmptyDiff(diff) {
+    return Object.values(diff).every(list => list.length === 0);
+}
+
+function printMangaDiff(diff) {
+    const shorten = value => {
+        const text = value === undefined ? '(none)' : JSON.stringify(value);
+        return text.length > 60 ? text.slice(0, 57) + '...' : text;
+    };
+    
+    if (isEmptyDiff(diff)) {
+        console.log('✅ manga.json is up to date - no changes');
+        return;
+    }
+    
+    console.log('📝 Changes to manga.json:');
+    diff.chaptersAdded.forEach(name => console.log(`   ➕ Chapter added: ${name}`));
+    diff.chaptersRemoved.forEach(name => console.log(`   ➖ Chapter removed: ${name}`));
+    diff.pagesChanged.forEach(c => console.log(`   📄 ${c.chapter}: pages ${c.from} → ${c.to}`));
+    diff.lockChanged.forEach(c => console.log(`   ${c.to ? '🔒' : '🔓'} ${c.chapter}: ${c.to ? 'locked' : 'unlocked'}`));
+    diff.uploadDateChanged.forEach(c => console.log(`   📅 ${c.chapter}: uploadDate ${c.from} → ${c.to}`));
+    diff.chapterFieldsChanged.forEach(c => console.log(`   ✏️  ${c.chapter}: ${c.field} ${shorten(c.from)} → ${shorten(c.to)}`));
+    diff.metadataChanged.forEach(c => console.log(`   🏷️  ${c.field}: ${shorten(c.from)} → ${shorten(c.to)}`));
+}
+
+function commandGenerate() {
+    const dryRun = hasFlag('dry-run');
+    const check = hasFlag('check');
+    
+    console.log(`📚 Generating manga.json...${dryRun || check ? ' (dry run - nothing is written)' : ''}\n`);
+    
+    const config = loadConfig();
+    const oldMangaData = loadJSON('manga.json');
+    
+    if (!oldMangaData || !oldMangaData.manga) {
+        console.log('🆕 First-time generation - creating new manga.json');
+    } else {
+        console.log('🔄 Updating existing manga.json (preserving views)');
+    }
+    
+    const mangaJSON = buildMangaJSON(config, oldMangaData);
+    const { chapters } = mangaJSON;
+    const diff = diffMangaJSON(oldMangaData, mangaJSON);
+    
+    reportResult({ diff });
+    reportCounts({
+        chapters: Object.keys(chapters).length,
+        locked: Object.values(chapters).filter(ch => ch.locked).length
+    });
+    
+    if (dryRun || check) {
+        console.log('');
+        printMangaDiff(diff);
+        
+        if (check && (!oldMangaData || !isEmptyDiff(diff))) {
+            console.log('\n❌ manga.json is out of date - run: node manga-automation.js generate');
+            process.exit(1);
+        }
+        return;
+    }
+    
     if (saveJSON('manga.json', mangaJSON)) {
         console.log('\n✅ manga.json generated successfully!');
+        if (!writeFeeds(config, mangaJSON)) {
+            process.exit(1);
+        }
         console.log(`📊 Stats:`);
         console.log(`   Total chapters: ${Object.keys(chapters).length}`);
         
         const lockedCount = Object.values(chapters).filter(ch => ch.locked).length;
         const unlockedCount = Object.values(chapters).filter(ch => !ch.locked).length;
         const oneshotCount = Object.keys(chapters).filter(ch => isOneshotFolder(ch)).length;
+        const extraCount = Object.values(chapters).filter(ch => ch.kind === 'extra').length;
         const totalChapterViews = Object.values(chapters).reduce((sum, ch) => sum + (ch.views || 0), 0);
         
         console.log(`   🔒 Locked chapters: ${lockedCount}`);
@@ -392,7 +999,10 @@ function commandGenerate() {
         if (oneshotCount > 0) {
             console.log(`   🎯 Oneshot chapters: ${oneshotCount}`);
         }
-        console.log(`   👁️  Total manga views: ${totalViews}`);
+        if (extraCount > 0) {
+            console.log(`   ✨ Extra chapters: ${extraCount}`);
+        }
+        console.log(`   👁️  Total manga views: ${mangaJSON.manga.views}`);
         console.log(`   👁️  Total chapter views: ${totalChapterViews}`);
         console.log(`   📅 Last updated: ${mangaJSON.lastUpdated}`);
         console.log(`   📅 Last chapter update: ${mangaJSON.lastChapterUpdate}`);
@@ -414,7 +1024,8 @@ function commandCleanup() {
         'pending-views.json',
         'pending-chapter-views.json'
         // ⚠️ TIDAK HAPUS daily-views.json!
-        // File ini dibutuhkan untuk trending (updated by Cloudflare Worker)
+        // File ini dibutuhkan untuk trending (updated by Cloudflare Worker),
+        // dipadatkan lewat `compact-views`
     ];
     
     let removed = 0;
@@ -423,6 +1034,7 @@ function commandCleanup() {
         if (fs.existsSync(filename)) {
             try {
                 fs.unlinkSync(filename);
+                reportFileRemoved(filename);
                 console.log(`✅ Removed ${filename}`);
                 removed++;
             } catch (error) {
@@ -447,37 +1059,2325 @@ function commandCleanup() {
 }
 
 // ============================================
-// MAIN
+// IMAGE HEADER HELPERS
 // ============================================
 
-function main() {
-    const command = process.argv[2];
-    
-    console.log('╔════════════════════════════════════════╗');
-    console.log('║ MANGA AUTOMATION v7.0 - SIMPLIFIED    ║');
-    console.log('║ ✅ Cloudflare Worker Integration      ║');
-    console.log('║ ✅ WIB Timezone (GMT+7)               ║');
-    console.log('║ ✅ Manifest-based Detection           ║');
-    console.log('║ 🎯 Oneshot Support                    ║');
-    console.log('║ 🔒 Locked Chapters                     ║');
-    console.log('╚════════════════════════════════════════╝\n');
+const JPEG_SOF_MARKERS = new Set([0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF]);
+
+function readPngSize(buffer) {
+    if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') {
+        return null;
+    }
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function readJpegSize(buffer) {
+    let offset = 2;
     
-    switch (command) {
-        case 'generate':
-            commandGenerate();
-            break;
-        case 'cleanup':
-            commandCleanup();
-            break;
-        default:
-            console.log('Usage:');
-            console.log('  node manga-automation.js generate → Generate manga.json from chapter folders');
-            console.log('  node manga-automation.js cleanup  → Remove old pending files');
-            console.log('');
-            console.log('💡 View tracking is now handled by Cloudflare Worker');
-            console.log('   Worker updates manga.json daily at 00:00 WIB');
-            process.exit(1);
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xFF) {
+            return null;
+        }
+        
+        const marker = buffer[offset + 1];
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+            offset += 2;
+            continue;
+        }
+        if (JPEG_SOF_MARKERS.has(marker)) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        
+        offset += 2 + buffer.readUInt16BE(offset + 2);
     }
+    return null;
 }
 
-main();
+function readWebpSize(buffer) {
+    if (buffer.length < 30 || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+        return null;
+    }
+    
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+    }
+    if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    if (chunk === 'VP8X') {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+// Width/height straight from the WebP/JPEG/PNG header (no image library needed)
+function readImageSize(filePath) {
+    try {
+        const buffer = fs.readFileSync(filePath);
+        
+        if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504E47) {
+            return readPngSize(buffer);
+        }
+        if (buffer.length >= 4 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+            return readJpegSize(buffer);
+        }
+        if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF') {
+            return readWebpSize(buffer);
+        }
+    } catch (error) {
+        console.warn(`⚠️ Could not read ${filePath}:`, error.message);
+    }
+    return null;
+}
+
+// ============================================
+// COMMAND 3: SCAFFOLD MANIFEST.JSON
+// ============================================
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "Image007.webp" → 7, using imagePrefix/imageFormat from manga-config.json
+function getPageNumber(fileName, config) {
+    const prefix = escapeRegExp(config.imagePrefix || 'Image');
+    const format = escapeRegExp(config.imageFormat || 'jpg');
+    const match = new RegExp(`^${prefix}(\\d+)\\.${format}$`, 'i').exec(fileName);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+function collectScaffoldPages(chapterName, config) {
+    const urlListFile = getOption('urls');
+    const pages = [];
+    const ignored = [];
+    
+    if (urlListFile) {
+        const urls = fs.readFileSync(urlListFile, 'utf8')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+        
+        urls.forEach(url => {
+            const fileName = decodeURIComponent(new URL(url).pathname.split('/').pop());
+            const number = getPageNumber(fileName, config);
+            if (number === null) {
+                ignored.push(url);
+            } else {
+                pages.push({ number, fileName, url });
+            }
+        });
+    } else {
+        const folderPath = path.join('.', chapterName);
+        if (!fs.existsSync(folderPath)) {
+            throw new Error(`Folder ${chapterName} not found (use --urls to scaffold from a URL list)`);
+        }
+        
+        const baseUrl = getOption('base-url') || getPagesBaseUrl(config);
+        
+        fs.readdirSync(folderPath)
+            .filter(fileName => /\.(webp|jpe?g|png)$/i.test(fileName))
+            .forEach(fileName => {
+                const number = getPageNumber(fileName, config);
+                if (number === null) {
+                    ignored.push(fileName);
+                } else {
+                    const url = `${baseUrl.replace(/\/?$/, '/')}${encodeURIComponent(chapterName)}/${encodeURIComponent(fileName)}`;
+                    pages.push({ number, fileName, url });
+                }
+            });
+    }
+    
+    return { pages: pages.sort((a, b) => a.number - b.number), ignored };
+}
+
+// Page numbers must run 1..N without holes or duplicates
+function findPageSequenceProblems(pages) {
+    const problems = [];
+    const seen = new Map();
+    
+    pages.forEach(page => {
+        if (seen.has(page.number)) {
+            problems.push(`Duplicate page ${page.number}: ${seen.get(page.number)} and ${page.fileName}`);
+        }
+        seen.set(page.number, page.fileName);
+    });
+    
+    const lastPage = pages.length > 0 ? pages[pages.length - 1].number : 0;
+    const missing = [];
+    for (let number = 1; number <= lastPage; number++) {
+        if (!seen.has(number)) {
+            missing.push(number);
+        }
+    }
+    if (missing.length > 0) {
+        problems.push(`Missing page number(s): ${missing.join(', ')}`);
+    }
+    
+    return problems;
+}
+
+function commandScaffold(chapterName) {
+    if (!chapterName) {
+        console.error('❌ Usage: node manga-automation.js scaffold <chapter> [--urls file] [--base-url url] [--allow-gaps] [--force]');
+        process.exit(1);
+    }
+    
+    console.log(`🧱 Scaffolding manifest.json for ${chapterName}...\n`);
+    
+    const config = loadConfig();
+    const manifestPath = path.join('.', chapterName, 'manifest.json');
+    
+    if (fs.existsSync(manifestPath) && !hasFlag('force')) {
+        console.error(`❌ ${manifestPath} already exists (use --force to overwrite)`);
+        process.exit(1);
+    }
+    
+    let collected;
+    try {
+        collected = collectScaffoldPages(chapterName, config);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    
+    const { pages, ignored } = collected;
+    
+    if (ignored.length > 0) {
+        console.warn(`⚠️ Ignored ${ignored.length} file(s) not named ${config.imagePrefix || 'Image'}<n>.${config.imageFormat || 'jpg'}:`);
+        ignored.forEach(name => console.warn(`   - ${name}`));
+    }
+    
+    if (pages.length === 0) {
+        console.error('❌ No pages found');
+        process.exit(1);
+    }
+    
+    const problems = findPageSequenceProblems(pages);
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(`❌ ${problem}`));
+        if (!hasFlag('allow-gaps')) {
+            console.error('\n⛔ Fix the page sequence or re-run with --allow-gaps');
+            process.exit(1);
+        }
+    }
+    
+    const dimensions = pages.map(page => {
+        const imagePath = path.join('.', chapterName, page.fileName);
+        const size = fs.existsSync(imagePath) ? readImageSize(imagePath) : null;
+        if (!size) {
+            console.warn(`  ⚠️  ${page.fileName}: size unknown`);
+        }
+        return size;
+    });
+    
+    const manifest = {
+        chapter: chapterName,
+        total_pages: pages.length,
+        pages: pages.map(page => page.url),
+        dimensions: dimensions
+    };
+    
+    fs.mkdirSync(path.join('.', chapterName), { recursive: true });
+    if (!saveJSON(manifestPath, manifest)) {
+        process.exit(1);
+    }
+    
+    const knownSizes = dimensions.filter(Boolean).length;
+    reportCounts({ pages: pages.length, sizesRead: knownSizes, ignored: ignored.length });
+    console.log(`✅ ${manifestPath} written`);
+    console.log(`   📄 Pages: ${pages.length}`);
+    console.log(`   📐 Sizes read: ${knownSizes}/${pages.length}`);
+    console.log('\n💡 Push it - encrypt-manifest.yml will encrypt the page URLs');
+}
+
+// ============================================
+// COMMAND 4: VALIDATE CONFIG & MANIFESTS
+// ============================================
+
+const ALLOWED_TYPES = ['manga', 'manhwa', 'manhua', 'webtoon'];
+const ALLOWED_STATUSES = ['ONGOING', 'HIATUS', 'END', 'DROPPED'];
+const ALLOWED_IMAGE_FORMATS = ['webp', 'jpg', 'jpeg', 'png'];
+const REQUIRED_METADATA = ['title', 'description', 'author', 'artist', 'repoOwner', 'repoName'];
+const KNOWN_CONFIG_KEYS = [
+    'type', 'title', 'alternativeTitle', 'cover', 'description', 'author', 'artist', 'genre',
+    'status', 'endChapter', 'views', 'links', 'repoOwner', 'repoName', 'imagePrefix',
+    'imageFormat', 'lockedChapters', 'cdnHost', 'pagesBaseUrl', 'chapters', 'volumes', 'viewRetention', 'feed', 'coverHosts', 'timezone', 'locale'
+];
+
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (error) {
+        return false;
+    }
+}
+
+function validateConfig(config, chapterFolders) {
+    const errors = [];
+    const warnings = [];
+    
+    REQUIRED_METADATA.forEach(key => {
+        if (typeof config[key] !== 'string' || config[key].trim() === '') {
+            errors.push(`"${key}" is required and must be a non-empty string`);
+        }
+    });
+    
+    if (config.type !== undefined && !ALLOWED_TYPES.includes(config.type)) {
+        errors.push(`"type" is "${config.type}", expected one of: ${ALLOWED_TYPES.join(', ')}`);
+    }
+    
+    if (!ALLOWED_STATUSES.includes(config.status)) {
+        errors.push(`"status" is "${config.status}", expected one of: ${ALLOWED_STATUSES.join(', ')}`);
+    }
+    
+    if (!isHttpUrl(config.cover)) {
+        errors.push(`"cover" is not a valid URL: ${config.cover}`);
+    }
+    
+    if (!Array.isArray(config.genre) || config.genre.some(g => typeof g !== 'string' || g.trim() === '')) {
+        errors.push('"genre" must be an array of non-empty strings');
+    }
+    
+    if (config.links !== undefined) {
+        if (typeof config.links !== 'object' || config.links === null || Array.isArray(config.links)) {
+            errors.push('"links" must be an object of URLs');
+        } else {
+            Object.entries(config.links).forEach(([name, url]) => {
+                if (!isHttpUrl(url)) {
+                    errors.push(`"links.${name}" is not a valid URL: ${url}`);
+                }
+            });
+        }
+    }
+    
+    if (config.pagesBaseUrl !== undefined && !isHttpUrl(config.pagesBaseUrl)) {
+        errors.push(`"pagesBaseUrl" is not a valid URL: ${config.pagesBaseUrl}`);
+    }
+    
+    if (config.viewRetention !== undefined) {
+        const retention = config.viewRetention;
+        ['dailyDays', 'weeklyWeeks'].forEach(key => {
+            if (retention[key] !== undefined && !(Number.isInteger(retention[key]) && retention[key] > 0)) {
+                errors.push(`"viewRetention.${key}" must be a positive integer, got ${JSON.stringify(retention[key])}`);
+            }
+        });
+        if (Number.isInteger(retention.dailyDays) && retention.dailyDays < 30) {
+            warnings.push(`"viewRetention.dailyDays" is ${retention.dailyDays} - the 30-day stats window will only count whole rolled-up weeks`);
+        }
+    }
+    
+    if (config.feed !== undefined) {
+        const feedConfig = getFeedConfig(config);
+        if (!FEED_LOCKED_RULES.includes(feedConfig.lockedChapters)) {
+            errors.push(`"feed.lockedChapters" must be one of ${FEED_LOCKED_RULES.join(', ')}, got "${feedConfig.lockedChapters}"`);
+        }
+        if (!isHttpUrl(feedConfig.siteUrl)) {
+            errors.push(`"feed.siteUrl" must be an http(s) URL, got "${feedConfig.siteUrl}"`);
+        }
+        if (!String(feedConfig.chapterUrl).includes('{chapter}')) {
+            errors.push('"feed.chapterUrl" must contain a {chapter} placeholder');
+        }
+        if (!(Number.isInteger(feedConfig.limit) && feedConfig.limit > 0)) {
+            errors.push(`"feed.limit" must be a positive integer, got ${JSON.stringify(feedConfig.limit)}`);
+        }
+    }
+    
+    if (config.timezone !== undefined && !isValidTimezone(config.timezone)) {
+        errors.push(`"timezone" must be an IANA timezone name (e.g. "Asia/Jakarta"), got "${config.timezone}"`);
+    }
+    
+    if (config.locale !== undefined) {
+        try {
+            Intl.getCanonicalLocales(config.locale);
+        } catch (error) {
+            errors.push(`"locale" must be a BCP 47 language tag (e.g. "id-ID"), got "${config.locale}"`);
+        }
+    }
+    
+    if (config.coverHosts !== undefined &&
+        !(Array.isArray(config.coverHosts) && config.coverHosts.every(host => /^(\*\.)?[a-z0-9.-]+$/i.test(host)))) {
+        errors.push('"coverHosts" must be an array of host names (optionally "*.domain")');
+    }
+    
+    if (config.cdnHost !== undefined) {
+        warnings.push('"cdnHost" is no longer read - set "pagesBaseUrl" to where the chapter pages are served');
+    }
+    
+    if (config.imageFormat !== undefined && !ALLOWED_IMAGE_FORMATS.includes(config.imageFormat)) {
+        errors.push(`"imageFormat" is "${config.imageFormat}", expected one of: ${ALLOWED_IMAGE_FORMATS.join(', ')}`);
+    }
+    
+    if (config.views !== undefined && (!Number.isInteger(config.views) || config.views < 0)) {
+        errors.push(`"views" must be a non-negative integer, got ${JSON.stringify(config.views)}`);
+    }
+    
+    if (config.endChapter !== undefined && (typeof config.endChapter !== 'number' || !isFinite(config.endChapter))) {
+        errors.push(`"endChapter" must be a number, got ${JSON.stringify(config.endChapter)}`);
+    }
+    
+    if (config.status === 'END') {
+        if (config.endChapter === undefined) {
+            errors.push('"status" is END but "endChapter" is not set');
+        } else if (typeof config.endChapter === 'number' && !chapterFolders.includes(String(config.endChapter))) {
+            // No chapter folders at all = chapters not uploaded (yet), not a broken config
+            const problems = chapterFolders.length === 0 ? warnings : errors;
+            problems.push(`"status" is END but endChapter folder "${config.endChapter}" does not exist`);
+        }
+    }
+    
+    if (typeof config.endChapter === 'number') {
+        const beyondEnd = chapterFolders.filter(f => isNumericChapter(f) && parseFloat(f) > config.endChapter);
+        if (beyondEnd.length > 0) {
+            warnings.push(`Chapter folder(s) after endChapter ${config.endChapter}: ${beyondEnd.join(', ')}`);
+        }
+    }
+    
+    if (!Array.isArray(config.lockedChapters)) {
+        errors.push('"lockedChapters" must be an array');
+    } else {
+        config.lockedChapters.forEach(entry => {
+            const isObject = entry && typeof entry === 'object' && !Array.isArray(entry);
+            const chapterName = isObject ? entry.chapter : entry;
+            
+            if (typeof chapterName !== 'string') {
+                errors.push(`lockedChapters entry ${JSON.stringify(entry)} must be a string or { "chapter": "..." }`);
+                return;
+            }
+            if (!isChapterFolderName(chapterName, config)) {
+                errors.push(`lockedChapters entry "${chapterName}" is not a valid chapter name`);
+            } else if (!chapterFolders.includes(chapterName)) {
+                warnings.push(`lockedChapters entry "${chapterName}" has no folder (published as an upcoming locked chapter)`);
+            }
+            
+            if (isObject && entry.unlockAt !== undefined && !parseLocalDate(entry.unlockAt)) {
+                errors.push(`lockedChapters "${chapterName}": unlockAt "${entry.unlockAt}" is not a valid date`);
+            }
+            if (isObject && entry.tier !== undefined && typeof entry.tier !== 'string') {
+                errors.push(`lockedChapters "${chapterName}": tier must be a string`);
+            }
+            if (isObject && entry.reason !== undefined && typeof entry.reason !== 'string') {
+                errors.push(`lockedChapters "${chapterName}": reason must be a string`);
+            }
+        });
+    }
+    
+    if (config.chapters !== undefined) {
+        if (typeof config.chapters !== 'object' || config.chapters === null || Array.isArray(config.chapters)) {
+            errors.push('"chapters" must be an object keyed by chapter folder');
+        } else {
+            Object.entries(config.chapters).forEach(([folderName, override]) => {
+                ['title', 'subtitle'].forEach(key => {
+                    if (override[key] !== undefined && typeof override[key] !== 'string') {
+                        errors.push(`chapters "${folderName}": ${key} must be a string`);
+                    }
+                });
+                if (override.kind !== undefined && !CHAPTER_KINDS.includes(override.kind)) {
+                    errors.push(`chapters "${folderName}": kind "${override.kind}", expected one of: ${CHAPTER_KINDS.join(', ')}`);
+                }
+                if (override.volume !== undefined && override.volume !== null && !getVolumeByNumber(override.volume, config)) {
+                    errors.push(`chapters "${folderName}": volume ${override.volume} is not declared in "volumes"`);
+                }
+                if (override.after !== undefined && !chapterFolders.includes(String(override.after))) {
+                    errors.push(`chapters "${folderName}": after "${override.after}" is not a chapter folder`);
+                }
+                if (!chapterFolders.includes(folderName) && !normalizeLockedChapters(config).some(e => e.chapter === folderName)) {
+                    warnings.push(`chapters "${folderName}" has no folder`);
+                }
+            });
+        }
+    }
+    
+    if (config.volumes !== undefined) {
+        if (!Array.isArray(config.volumes)) {
+            errors.push('"volumes" must be an array');
+        } else {
+            const seen = new Set();
+            config.volumes.forEach((volume, index) => {
+                const label = `volumes[${index}]`;
+                if (!Number.isInteger(volume.volume) || volume.volume < 1) {
+                    errors.push(`${label}: "volume" must be a positive integer`);
+                } else if (seen.has(volume.volume)) {
+                    errors.push(`${label}: volume ${volume.volume} is declared twice`);
+                }
+                seen.add(volume.volume);
+                
+                if (!Array.isArray(volume.range) || volume.range.length !== 2 ||
+                    volume.range.some(n => typeof n !== 'number') || volume.range[0] > volume.range[1]) {
+                    errors.push(`${label}: "range" must be [firstChapter, lastChapter]`);
+                }
+                if (volume.title !== undefined && typeof volume.title !== 'string') {
+                    errors.push(`${label}: "title" must be a string`);
+                }
+                if (volume.cover !== undefined && !isHttpUrl(volume.cover)) {
+                    errors.push(`${label}: "cover" is not a valid URL: ${volume.cover}`);
+                }
+            });
+            
+            const ranges = config.volumes.filter(v => Array.isArray(v.range)).sort((a, b) => a.range[0] - b.range[0]);
+            for (let i = 1; i < ranges.length; i++) {
+                if (ranges[i].range[0] <= ranges[i - 1].range[1]) {
+                    errors.push(`Volume ${ranges[i - 1].volume} and ${ranges[i].volume} ranges overlap`);
+                }
+            }
+        }
+    }
+    
+    Object.keys(config)
+        .filter(key => !KNOWN_CONFIG_KEYS.includes(key))
+        .forEach(key => warnings.push(`Unknown config key "${key}"`));
+    
+    return { errors, warnings };
+}
+
+// Encrypted entry shapes written by encrypt-manifest.js (hex, lowercase or not):
+//   1.0: iv[16] ':' AES-256-CBC ciphertext (whole 16-byte blocks)
+//   2.0: iv[12] ':' AES-256-GCM ciphertext + 16-byte auth tag
+const ENCRYPTED_ENTRY_PATTERNS = {
+    '1.0': /^[0-9a-f]{32}:(?:[0-9a-f]{32})+$/i,
+    '2.0': /^[0-9a-f]{24}:(?:[0-9a-f]{2}){17,}$/i
+};
+
+function getEncryptedEntryVersion(entry) {
+    return Object.keys(ENCRYPTED_ENTRY_PATTERNS).find(version => ENCRYPTED_ENTRY_PATTERNS[version].test(entry)) || null;
+}
+
+function validateManifest(folderName) {
+    const errors = [];
+    const warnings = [];
+    const manifestPath = path.join('.', folderName, 'manifest.json');
+    
+    // generate lists such a folder with 0 pages - only --strict fails on it
+    if (!fs.existsSync(manifestPath)) {
+        return { errors, warnings: [`${folderName}: manifest.json is missing`] };
+    }
+    
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        return { errors: [`${folderName}: manifest.json is not valid JSON (${error.message})`], warnings };
+    }
+    
+    if (!Array.isArray(manifest.pages) || manifest.pages.length === 0) {
+        return { errors: [`${folderName}: manifest.json has no pages`], warnings };
+    }
+    
+    const totalPages = manifest.total_pages !== undefined ? manifest.total_pages : manifest.totalPages;
+    if (totalPages === undefined) {
+        warnings.push(`${folderName}: total_pages is missing`);
+    } else if (totalPages !== manifest.pages.length) {
+        errors.push(`${folderName}: total_pages is ${totalPages} but manifest has ${manifest.pages.length} pages`);
+    }
+    
+    if (manifest.dimensions !== undefined &&
+        (!Array.isArray(manifest.dimensions) || manifest.dimensions.length !== manifest.pages.length)) {
+        errors.push(`${folderName}: dimensions must have one entry per page`);
+    }
+    
+    const plaintext = manifest.pages.filter(page => typeof page === 'string' && isHttpUrl(page)).length;
+    const malformed = manifest.pages.filter(page => typeof page !== 'string' ||
+        (!isHttpUrl(page) && getEncryptedEntryVersion(page) === null)).length;
+    const otherVersion = manifest.encryption_version
+        ? manifest.pages.filter(page => typeof page === 'string' && getEncryptedEntryVersion(page) !== null &&
+            getEncryptedEntryVersion(page) !== manifest.encryption_version).length
+        : 0;
+    
+    if (malformed > 0) {
+        errors.push(`${folderName}: ${malformed} page entr${malformed === 1 ? 'y is' : 'ies are'} neither a URL nor ciphertext`);
+    }
+    if (otherVersion > 0) {
+        errors.push(`${folderName}: ${otherVersion} page entr${otherVersion === 1 ? 'y is' : 'ies are'} not encryption_version ${manifest.encryption_version}`);
+    }
+    if (plaintext > 0) {
+        warnings.push(`${folderName}: ${plaintext} page(s) not encrypted yet`);
+    }
+    
+    return { errors, warnings };
+}
+
+// Whole chapter numbers missing between the first and last numeric folder
+function findChapterGaps(chapterFolders) {
+    const numbers = chapterFolders.filter(isNumericChapter).map(parseFloat);
+    const whole = new Set(numbers.filter(Number.isInteger));
+    const gaps = [];
+    
+    if (numbers.length === 0) {
+        return gaps;
+    }
+    
+    const first = Math.floor(Math.min(...numbers));
+    const last = Math.floor(Math.max(...numbers));
+    for (let number = first; number <= last; number++) {
+        if (!whole.has(number)) {
+            gaps.push(number);
+        }
+    }
+    return gaps;
+}
+
+function commandValidate() {
+    console.log('🔎 Validating manga-config.json and chapter manifests...\n');
+    
+    const config = loadConfig();
+    const chapterFolders = getChapterFolders(config);
+    
+    const configResult = validateConfig(config, chapterFolders);
+    const errors = [...configResult.errors];
+    const warnings = [...configResult.warnings];
+    
+    chapterFolders.forEach(folderName => {
+        const result = validateManifest(folderName);
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+    });
+    
+    // Gaps are often chapters not uploaded yet - a warning unless --strict
+    const gaps = findChapterGaps(chapterFolders);
+    if (gaps.length > 0) {
+        warnings.push(`Gap(s) in chapter sequence: ${gaps.join(', ')}`);
+    }
+    
+    const strict = hasFlag('strict');
+    
+    console.log('');
+    warnings.forEach(warning => console.log(`${strict ? '❌' : '⚠️ '} ${warning}`));
+    errors.forEach(error => console.log(`❌ ${error}`));
+    
+    const failed = errors.length > 0 || (strict && warnings.length > 0);
+    
+    runReport.errors.push(...errors);
+    runReport.warnings.push(...warnings);
+    reportCounts({ chapters: chapterFolders.length, errors: errors.length, warnings: warnings.length });
+    
+    console.log(`\n📊 ${chapterFolders.length} chapter(s) checked: ${errors.length} error(s), ${warnings.length} warning(s)`);
+    
+    if (failed) {
+        console.log('⛔ Validation failed');
+        process.exit(1);
+    }
+    
+    console.log('✅ Validation passed');
+}
+
+// ============================================
+// COMMAND 5: RELEASE DUE LOCKED CHAPTERS
+// ============================================
+
+function commandReleaseDue() {
+    const apply = hasFlag('apply');
+    const now = runtime.now();
+    
+    console.log(`⏰ Checking scheduled unlocks (now: ${getLocalTimestamp()})...\n`);
+    
+    const config = loadConfig();
+    const lockedEntries = normalizeLockedChapters(config);
+    const due = [];
+    
+    lockedEntries.forEach(entry => {
+        const label = entry.tier ? ` [${entry.tier}]` : '';
+        
+        if (!entry.unlockAt) {
+            console.log(`🔒 ${entry.chapter}${label} - no unlock date`);
+        } else if (new Date(entry.unlockAt) > now) {
+            console.log(`⏳ ${entry.chapter}${label} - unlocks ${entry.unlockAt}`);
+        } else if (!checkIfFolderExists(entry.chapter)) {
+            console.warn(`⚠️  ${entry.chapter}${label} - was due ${entry.unlockAt} but its folder is missing, kept locked`);
+        } else {
+            console.log(`🔓 ${entry.chapter}${label} - due since ${entry.unlockAt}`);
+            due.push(entry.chapter);
+        }
+    });
+    
+    reportResult({ due, applied: apply && due.length > 0 });
+    reportCounts({ locked: lockedEntries.length, due: due.length });
+    
+    if (due.length === 0) {
+        console.log('\n✅ No unlocks due');
+        return;
+    }
+    
+    if (!apply) {
+        console.log(`\n💡 ${due.length} chapter(s) due - re-run with --apply to remove them from lockedChapters`);
+        return;
+    }
+    
+    config.lockedChapters = config.lockedChapters.filter(entry => {
+        const chapterName = typeof entry === 'string' ? entry : String(entry.chapter);
+        return !due.includes(chapterName);
+    });
+    
+    if (!saveJSON('manga-config.json', config)) {
+        process.exit(1);
+    }
+    
+    console.log(`\n✅ Released ${due.join(', ')} - removed from lockedChapters in manga-config.json`);
+    console.log('💡 Run "node manga-automation.js generate" to update manga.json');
+}
+
+// ============================================
+// COMMAND 6: VIEW STATS & TRENDING
+// ============================================
+
+const STATS_WINDOWS = { '1d': 1, '7d': 7, '30d': 30 };
+
+// Adds one { manga, chapters } record into an accumulator of the same shape
+function addViewRecord(total, record) {
+    total.manga += (record && record.manga) || 0;
+    Object.entries((record && record.chapters) || {}).forEach(([chapterName, views]) => {
+        total.chapters[chapterName] = (total.chapters[chapterName] || 0) + views;
+    });
+    return total;
+}
+
+// Every record in daily-views.json as { from, to, record }: daily days plus the
+// weekly ("YYYY-MM-DD" → { from, to, ... }) and monthly ("YYYY-MM" → { from, ... }) rollups.
+// "from" is the first raw day rolled in (older rollups without it start at the key)
+function getViewBuckets(dailyViews) {
+    const buckets = [];
+    
+    Object.entries((dailyViews && dailyViews.dailyRecords) || {}).forEach(([day, record]) => {
+        buckets.push({ from: day, to: day, record });
+    });
+    Object.entries((dailyViews && dailyViews.weeklyRecords) || {}).forEach(([from, record]) => {
+        buckets.push({ from: record.from || from, to: record.to || from, record });
+    });
+    Object.entries((dailyViews && dailyViews.monthlyRecords) || {}).forEach(([month, record]) => {
+        buckets.push({ from: record.from || `${month}-01`, to: getMonthEnd(month), record });
+    });
+    
+    return buckets;
+}
+
+// Sums view records with fromDate <= day <= toDate (null = unbounded). Rolled-up
+// weeks/months only count when they lie entirely inside the range.
+function sumDailyViews(dailyViews, fromDate, toDate) {
+    const total = { manga: 0, chapters: {} };
+    
+    getViewBuckets(dailyViews).forEach(bucket => {
+        if ((fromDate && bucket.from < fromDate) || (toDate && bucket.to > toDate)) {
+            return;
+        }
+        addViewRecord(total, bucket.record);
+    });
+    
+    total.chapterViews = Object.values(total.chapters).reduce((sum, views) => sum + views, 0);
+    return total;
+}
+
+function getGrowth(current, previous) {
+    return {
+        current,
+        previous,
+        change: current - previous,
+        percent: previous > 0 ? Math.round(((current - previous) / previous) * 1000) / 10 : null
+    };
+}
+
+// Share of chapter-1 readers who reach the final chapter, plus every step in between
+function buildReadThroughFunnel(allTime, chapterOrder, config) {
+    const regularChapters = chapterOrder.filter(name => getChapterKind(name, config) === 'regular');
+    if (regularChapters.length === 0) {
+        return null;
+    }
+    
+    const firstChapter = regularChapters[0];
+    const finalChapter = config.status === 'END' && config.endChapter && regularChapters.includes(String(config.endChapter))
+        ? String(config.endChapter)
+        : regularChapters[regularChapters.length - 1];
+    const firstViews = allTime.chapters[firstChapter] || 0;
+    const share = views => (firstViews > 0 ? Math.round((views / firstViews) * 1000) / 10 : null);
+    
+    return {
+        firstChapter,
+        finalChapter,
+        firstViews,
+        finalViews: allTime.chapters[finalChapter] || 0,
+        readThroughPercent: share(allTime.chapters[finalChapter] || 0),
+        steps: regularChapters
+            .slice(0, regularChapters.indexOf(finalChapter) + 1)
+            .map(name => ({ chapter: name, views: allTime.chapters[name] || 0, percentOfFirst: share(allTime.chapters[name] || 0) }))
+    };
+}
+
+function buildViewStats(dailyViews, mangaData, config, asOf, topCount) {
+    const windows = {};
+    Object.entries(STATS_WINDOWS).forEach(([label, days]) => {
+        windows[label] = sumDailyViews(dailyViews, shiftDateString(asOf, 1 - days), asOf);
+    });
+    const allTime = sumDailyViews(dailyViews, null, asOf);
+    
+    const yesterday = sumDailyViews(dailyViews, shiftDateString(asOf, -1), shiftDateString(asOf, -1));
+    const previousWeek = sumDailyViews(dailyViews, shiftDateString(asOf, -13), shiftDateString(asOf, -7));
+    
+    const knownChapters = Object.keys((mangaData && mangaData.chapters) || {});
+    const chapterOrder = Array.from(new Set([...knownChapters, ...Object.keys(allTime.chapters)]))
+        .sort((a, b) => compareChapters(a, b, config));
+    
+    const chapterRows = chapterOrder.map(name => ({
+        chapter: name,
+        views1d: windows['1d'].chapters[name] || 0,
+        views7d: windows['7d'].chapters[name] || 0,
+        views30d: windows['30d'].chapters[name] || 0,
+        total: allTime.chapters[name] || 0
+    }));
+    
+    const topChapters = chapterRows
+        .filter(row => row.total > 0)
+        .sort((a, b) => (b.views7d - a.views7d) || (b.views30d - a.views30d) || (b.total - a.total))
+        .slice(0, topCount);
+    
+    const totals = {};
+    Object.keys(STATS_WINDOWS).forEach(label => {
+        totals[label] = { manga: windows[label].manga, chapters: windows[label].chapterViews };
+    });
+    totals.all = { manga: allTime.manga, chapters: allTime.chapterViews };
+    
+    return {
+        asOf,
+        totals,
+        growth: {
+            dayOverDay: {
+                manga: getGrowth(windows['1d'].manga, yesterday.manga),
+                chapters: getGrowth(windows['1d'].chapterViews, yesterday.chapterViews)
+            },
+            weekOverWeek: {
+                manga: getGrowth(windows['7d'].manga, previousWeek.manga),
+                chapters: getGrowth(windows['7d'].chapterViews, previousWeek.chapterViews)
+            }
+        },
+        topChapters,
+        funnel: buildReadThroughFunnel(allTime, chapterOrder, config),
+        chapters: chapterRows
+    };
+}
+
+function formatGrowth(growth) {
+    const sign = growth.change > 0 ? '+' : '';
+    const percent = growth.percent === null ? 'n/a' : `${sign}${growth.percent}%`;
+    return `${growth.current} (${sign}${growth.change}, ${percent})`;
+}
+
+function printStatsTable(stats) {
+    const row = cells => cells.map((cell, i) => (i === 0 ? String(cell).padEnd(14) : String(cell).padStart(9))).join(' ');
+    
+    console.log(`📈 View stats as of ${stats.asOf} (${getTimezone()})\n`);
+    console.log(row(['', '1d', '7d', '30d', 'all']));
+    console.log(row(['Manga page', stats.totals['1d'].manga, stats.totals['7d'].manga, stats.totals['30d'].manga, stats.totals.all.manga]));
+    console.log(row(['Chapters', stats.totals['1d'].chapters, stats.totals['7d'].chapters, stats.totals['30d'].chapters, stats.totals.all.chapters]));
+    
+    console.log('\n📊 Growth');
+    console.log(`   Day over day  - manga: ${formatGrowth(stats.growth.dayOverDay.manga)}, chapters: ${formatGrowth(stats.growth.dayOverDay.chapters)}`);
+    console.log(`   Week over week - manga: ${formatGrowth(stats.growth.weekOverWeek.manga)}, chapters: ${formatGrowth(stats.growth.weekOverWeek.chapters)}`);
+    
+    console.log('\n🔥 Top chapters');
+    console.log(row(['Chapter', '1d', '7d', '30d', 'all']));
+    stats.topChapters.forEach(c => console.log(row([c.chapter, c.views1d, c.views7d, c.views30d, c.total])));
+    
+    if (stats.funnel) {
+        const f = stats.funnel;
+        console.log(`\n🪜 Read-through: ${f.readThroughPercent === null ? 'n/a' : f.readThroughPercent + '%'} ` +
+                    `(chapter ${f.firstChapter}: ${f.firstViews} → chapter ${f.finalChapter}: ${f.finalViews})`);
+    }
+}
+
+function printStatsCsv(stats) {
+    console.log('scope,key,views_1d,views_7d,views_30d,views_total');
+    console.log(['manga', '', stats.totals['1d'].manga, stats.totals['7d'].manga, stats.totals['30d'].manga, stats.totals.all.manga].join(','));
+    stats.chapters.forEach(c => {
+        const key = /[",\n]/.test(c.chapter) ? `"${c.chapter.replace(/"/g, '""')}"` : c.chapter;
+        console.log(['chapter', key, c.views1d, c.views7d, c.views30d, c.total].join(','));
+    });
+}
+
+function commandStats() {
+    const format = getOption('format') || 'table';
+    const asOf = getOption('as-of') || getLocalDateString();
+    const topCount = parseInt(getOption('top') || '10', 10);
+    // Only the default run (what the workflow does) refreshes trending.json -
+    // exports and back-dated reports leave it alone unless --write is given
+    const write = hasFlag('write') || (format === 'table' && !getOption('as-of'));
+    
+    if (!['table', 'json', 'csv'].includes(format)) {
+        console.error(`❌ Unknown --format "${format}" (table, json or csv)`);
+        process.exit(1);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+        console.error(`❌ --as-of must be YYYY-MM-DD, got "${asOf}"`);
+        process.exit(1);
+    }
+    
+    const dailyViews = loadJSON('daily-views.json');
+    if (!dailyViews || !(dailyViews.dailyRecords || dailyViews.weeklyRecords || dailyViews.monthlyRecords)) {
+        console.error('❌ daily-views.json not found or has no view records');
+        process.exit(1);
+    }
+    
+    const config = loadJSON('manga-config.json') || {};
+    const mangaData = loadJSON('manga.json');
+    const stats = buildViewStats(dailyViews, mangaData, config, asOf, topCount);
+    reportResult({ stats });
+    reportCounts({ chapters: stats.chapters.length });
+    
+    // trending.json: same snapshot minus the full per-chapter table.
+    // A new day with the same numbers only moves asOf - not worth a commit.
+    const { chapters, ...trending } = stats;
+    const previous = write ? loadJSON('trending.json') : null;
+    const onlyAsOfMoved = Boolean(previous) &&
+        JSON.stringify({ ...previous, asOf: trending.asOf }) === JSON.stringify(trending);
+    if (write && !onlyAsOfMoved && !saveJSON('trending.json', trending)) {
+        process.exit(1);
+    }
+    
+    if (format === 'json') {
+        console.log(JSON.stringify(stats, null, 2));
+    } else if (format === 'csv') {
+        printStatsCsv(stats);
+    } else {
+        printStatsTable(stats);
+        if (onlyAsOfMoved) {
+            console.log('\nℹ️ trending.json unchanged (only asOf would move)');
+        } else if (write) {
+            console.log('\n✅ trending.json written');
+        }
+    }
+}
+
+// ============================================
+// COMMAND 7: COMPACT DAILY VIEWS
+// ============================================
+
+const DEFAULT_VIEW_RETENTION = { dailyDays: 35, weeklyWeeks: 12 };
+
+// Weekly rollups are Monday-based but never cross a month boundary, so they
+// can later fold into exactly one monthly record
+function getWeekBucketStart(day) {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    const monday = shiftDateString(day, -((weekday + 6) % 7));
+    const monthStart = `${day.slice(0, 7)}-01`;
+    return monday < monthStart ? monthStart : monday;
+}
+
+function cloneViewRecord(record) {
+    return addViewRecord({ manga: 0, chapters: {} }, record);
+}
+
+function sortObjectKeys(object) {
+    const sorted = {};
+    Object.keys(object).sort().forEach(key => { sorted[key] = object[key]; });
+    return sorted;
+}
+
+// Days before the daily window → weekly rollups; weeks ending before the
+// weekly window → monthly rollups. Totals are moved, never recomputed.
+function compactDailyViews(dailyViews, asOf, retention) {
+    const dailyCutoff = shiftDateString(asOf, 1 - retention.dailyDays);
+    const weeklyCutoff = shiftDateString(dailyCutoff, -7 * retention.weeklyWeeks);
+    
+    const dailyRecords = { ...(dailyViews.dailyRecords || {}) };
+    const weeklyRecords = { ...(dailyViews.weeklyRecords || {}) };
+    const monthlyRecords = { ...(dailyViews.monthlyRecords || {}) };
+    const summary = { daysRolled: 0, weeksRolled: 0 };
+    
+    Object.keys(dailyRecords).sort().forEach(day => {
+        if (day >= dailyCutoff) {
+            return;
+        }
+        
+        const weekStart = getWeekBucketStart(day);
+        const existing = weeklyRecords[weekStart];
+        const week = existing
+            ? { ...cloneViewRecord(existing), from: existing.from || weekStart, to: existing.to || weekStart }
+            : { from: day, to: day, manga: 0, chapters: {} };
+        
+        addViewRecord(week, dailyRecords[day]);
+        if (day < week.from) {
+            week.from = day;
+        }
+        if (day > week.to) {
+            week.to = day;
+        }
+        weeklyRecords[weekStart] = { from: week.from, to: week.to, manga: week.manga, chapters: sortObjectKeys(week.chapters) };
+        
+        delete dailyRecords[day];
+        summary.daysRolled++;
+    });
+    
+    Object.keys(weeklyRecords).sort().forEach(weekStart => {
+        const week = weeklyRecords[weekStart];
+        if ((week.to || weekStart) >= weeklyCutoff) {
+            return;
+        }
+        
+        const month = weekStart.slice(0, 7);
+        const monthRecord = addViewRecord(cloneViewRecord(monthlyRecords[month]), week);
+        const from = [monthlyRecords[month] && monthlyRecords[month].from, week.from || weekStart].filter(Boolean).sort()[0];
+        monthlyRecords[month] = { from, manga: monthRecord.manga, chapters: sortObjectKeys(monthRecord.chapters) };
+        
+        delete weeklyRecords[weekStart];
+        summary.weeksRolled++;
+    });
+    
+    const compacted = { ...dailyViews, dailyRecords: sortObjectKeys(dailyRecords) };
+    if (Object.keys(weeklyRecords).length > 0 || dailyViews.weeklyRecords) {
+        compacted.weeklyRecords = sortObjectKeys(weeklyRecords);
+    }
+    if (Object.keys(monthlyRecords).length > 0 || dailyViews.monthlyRecords) {
+        compacted.monthlyRecords = sortObjectKeys(monthlyRecords);
+    }
+    
+    return { compacted, summary, dailyCutoff, weeklyCutoff };
+}
+
+function commandCompactViews() {
+    const dryRun = hasFlag('dry-run');
+    const asOf = getOption('as-of') || getLocalDateString();
+    const config = loadJSON('manga-config.json') || {};
+    const retention = {
+        dailyDays: parseInt(getOption('keep-days') || '', 10) || (config.viewRetention || {}).dailyDays || DEFAULT_VIEW_RETENTION.dailyDays,
+        weeklyWeeks: parseInt(getOption('keep-weeks') || '', 10) || (config.viewRetention || {}).weeklyWeeks || DEFAULT_VIEW_RETENTION.weeklyWeeks
+    };
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+        console.error(`❌ --as-of must be YYYY-MM-DD, got "${asOf}"`);
+        process.exit(1);
+    }
+    
+    const dailyViews = loadJSON('daily-views.json');
+    if (!dailyViews) {
+        console.log('ℹ️  daily-views.json not found - nothing to compact');
+        return;
+    }
+    
+    console.log(`🗜️  Compacting daily-views.json (daily: ${retention.dailyDays} days, weekly: ${retention.weeklyWeeks} weeks)\n`);
+    
+    const { compacted, summary, dailyCutoff, weeklyCutoff } = compactDailyViews(dailyViews, asOf, retention);
+    reportCounts(summary);
+    reportResult({ dailyCutoff, weeklyCutoff });
+    
+    // Rollups only move views around - bail out if the grand total changed
+    const before = sumDailyViews(dailyViews, null, null);
+    const after = sumDailyViews(compacted, null, null);
+    if (before.manga !== after.manga || stableStringify(before.chapters) !== stableStringify(after.chapters)) {
+        console.error('❌ Compaction changed view totals - daily-views.json left untouched');
+        process.exit(1);
+    }
+    
+    if (summary.daysRolled === 0 && summary.weeksRolled === 0) {
+        console.log(`✅ Nothing to compact (daily records kept from ${dailyCutoff}, weekly from ${weeklyCutoff})`);
+        return;
+    }
+    
+    console.log(`📅 ${summary.daysRolled} day(s) before ${dailyCutoff} rolled into weekly records`);
+    console.log(`🗓️  ${summary.weeksRolled} week(s) before ${weeklyCutoff} rolled into monthly records`);
+    console.log(`🔢 Totals unchanged: manga ${after.manga}, chapters ${after.chapterViews}`);
+    
+    if (dryRun) {
+        console.log('\n🧪 Dry run - daily-views.json not written');
+        return;
+    }
+    
+    compacted.lastCleanup = runtime.now().toISOString();
+    if (!saveJSON('daily-views.json', compacted)) {
+        process.exit(1);
+    }
+    console.log('\n✅ daily-views.json compacted');
+}
+
+// ============================================
+// COMMAND 8: RECONCILE VIEWS
+// ============================================
+
+// Compares manga.json view counters with the totals recorded in daily-views.json
+function reconcileViews(mangaData, dailyViews, config) {
+    const history = sumDailyViews(dailyViews, null, null);
+    const chapters = mangaData.chapters || {};
+    const firstDay = getViewBuckets(dailyViews).map(bucket => bucket.from).sort()[0] || null;
+    
+    const chapterDrift = Object.keys(chapters)
+        .sort((a, b) => compareChapters(a, b, config))
+        .map(name => ({
+            chapter: name,
+            recorded: chapters[name].views || 0,
+            history: history.chapters[name] || 0
+        }))
+        .map(row => ({ ...row, drift: row.recorded - row.history }))
+        .filter(row => row.drift !== 0);
+    
+    const orphanChapters = Object.keys(history.chapters)
+        .filter(name => !chapters[name])
+        .sort((a, b) => compareChapters(a, b, config))
+        .map(name => ({ chapter: name, history: history.chapters[name] }));
+    
+    const recordedManga = (mangaData.manga && mangaData.manga.views) || 0;
+    
+    return {
+        historySince: firstDay,
+        manga: { recorded: recordedManga, history: history.manga, drift: recordedManga - history.manga },
+        chapterDrift,
+        orphanChapters
+    };
+}
+
+function commandReconcile() {
+    const rebuild = hasFlag('rebuild');
+    const check = hasFlag('check');
+    
+    console.log('🧮 Reconciling manga.json views with daily-views.json...\n');
+    
+    const mangaData = loadJSON('manga.json');
+    if (!mangaData) {
+        console.error('❌ manga.json not found - run generate first');
+        process.exit(1);
+    }
+    
+    const dailyViews = loadJSON('daily-views.json');
+    if (!dailyViews) {
+        console.error('❌ daily-views.json not found - nothing to reconcile against');
+        process.exit(1);
+    }
+    
+    const config = loadJSON('manga-config.json') || {};
+    const report = reconcileViews(mangaData, dailyViews, config);
+    reportResult(report);
+    reportCounts({ chapterDrift: report.chapterDrift.length, orphanChapters: report.orphanChapters.length });
+    
+    console.log(`📅 Daily history since: ${report.historySince || '(empty)'}`);
+    
+    const { manga } = report;
+    if (manga.drift === 0) {
+        console.log(`✅ manga.views matches history (${manga.recorded})`);
+    } else if (manga.drift > 0) {
+        console.log(`ℹ️  manga.views is ${manga.drift} ahead of history (${manga.recorded} vs ${manga.history}) - ` +
+                    `views before ${report.historySince || 'the first record'} are not in daily-views.json`);
+    } else {
+        console.log(`⚠️  manga.views is ${-manga.drift} behind history (${manga.recorded} vs ${manga.history}) - Worker writes were lost`);
+    }
+    
+    if (report.chapterDrift.length > 0) {
+        console.log(`\n⚠️  ${report.chapterDrift.length} chapter(s) drift from history:`);
+        report.chapterDrift.forEach(row => {
+            const sign = row.drift > 0 ? '+' : '';
+            console.log(`   Chapter ${row.chapter}: manga.json ${row.recorded}, history ${row.history} (${sign}${row.drift})`);
+        });
+    } else {
+        console.log('\n✅ Chapter views match history');
+    }
+    
+    if (report.orphanChapters.length > 0) {
+        console.log(`\n👻 ${report.orphanChapters.length} chapter(s) have recorded views but are not in manga.json:`);
+        report.orphanChapters.forEach(row => console.log(`   Chapter ${row.chapter}: ${row.history} view(s)`));
+    }
+    
+    const hasProblems = manga.drift < 0 || report.chapterDrift.length > 0 || report.orphanChapters.length > 0;
+    
+    if (rebuild && report.chapterDrift.length > 0) {
+        const history = sumDailyViews(dailyViews, null, null);
+        report.chapterDrift.forEach(row => {
+            mangaData.chapters[row.chapter].views = history.chapters[row.chapter] || 0;
+        });
+        
+        if (!saveJSON('manga.json', mangaData)) {
+            process.exit(1);
+        }
+        console.log(`\n✅ Rebuilt views for ${report.chapterDrift.length} chapter(s) from daily history`);
+        console.log('💡 manga.views and orphaned chapters are left as-is');
+        return;
+    }
+    
+    if (!hasProblems) {
+        console.log('\n✅ Views are consistent');
+    } else if (check) {
+        console.error('\n❌ View counters are out of sync (use --rebuild to reset chapter views from history)');
+        process.exit(1);
+    }
+}
+
+// ============================================
+// COMMAND 9: THREE-WAY MERGE OF MANGA.JSON / DAILY-VIEWS.JSON
+// ============================================
+
+// Everything except the view counters - what generate owns
+function stripViews(mangaData) {
+    const chapters = {};
+    Object.entries(mangaData.chapters || {}).forEach(([name, chapter]) => {
+        chapters[name] = { ...chapter, views: undefined };
+    });
+    return stableStringify({
+        ...mangaData,
+        manga: { ...(mangaData.manga || {}), views: undefined },
+        chapters
+    });
+}
+
+function getTimestampValue(timestamp) {
+    const value = Date.parse(timestamp || '');
+    return Number.isNaN(value) ? 0 : value;
+}
+
+// Views are counters: "sum" adds both sides' increments onto base, "max" keeps the larger one
+function mergeViewCount(base, ours, theirs, strategy) {
+    const b = base || 0;
+    const o = ours || 0;
+    const t = theirs || 0;
+    
+    if (strategy === 'max') {
+        return Math.max(o, t);
+    }
+    return Math.max(0, b + (o - b) + (t - b));
+}
+
+// Structure and metadata come from the side that regenerated the file (the one
+// that differs from base apart from views; newer lastUpdated wins if both do)
+function mergeMangaJSON(base, ours, theirs, strategy) {
+    const oursChanged = stripViews(ours) !== stripViews(base);
+    const theirsChanged = stripViews(theirs) !== stripViews(base);
+    
+    let structureSide = 'ours';
+    if (theirsChanged && (!oursChanged || getTimestampValue(theirs.lastUpdated) > getTimestampValue(ours.lastUpdated))) {
+        structureSide = 'theirs';
+    }
+    
+    const structure = structureSide === 'ours' ? ours : theirs;
+    const merged = JSON.parse(JSON.stringify(structure));
+    const chapterViews = (data, name) => data.chapters && data.chapters[name] ? data.chapters[name].views : 0;
+    
+    if (merged.manga) {
+        merged.manga.views = mergeViewCount(
+            base.manga && base.manga.views,
+            ours.manga && ours.manga.views,
+            theirs.manga && theirs.manga.views,
+            strategy
+        );
+    }
+    
+    Object.keys(merged.chapters || {}).forEach(name => {
+        merged.chapters[name].views = mergeViewCount(
+            chapterViews(base, name),
+            chapterViews(ours, name),
+            chapterViews(theirs, name),
+            strategy
+        );
+    });
+    
+    return { merged, structureSide };
+}
+
+function commandMerge(basePath, oursPath, theirsPath) {
+    const strategy = getOption('views') || 'sum';
+    const outputPath = getOption('output') || oursPath;
+    
+    if (!basePath || !oursPath || !theirsPath) {
+        console.error('❌ Usage: node manga-automation.js merge <base> <ours> <theirs> [--output file] [--views sum|max]');
+        process.exit(1);
+    }
+    if (!['sum', 'max'].includes(strategy)) {
+        console.error(`❌ Unknown --views "${strategy}" (sum or max)`);
+        process.exit(1);
+    }
+    
+    // git passes an empty base when both sides added the file
+    const base = loadJSON(basePath) || {};
+    const ours = loadJSON(oursPath);
+    const theirs = loadJSON(theirsPath);
+    
+    if (!ours || !theirs) {
+        console.error(`❌ Could not parse ${!ours ? oursPath : theirsPath} - leaving the conflict to git`);
+        process.exit(1);
+    }
+    
+    console.log(`🔀 Merging manga.json (views: ${strategy})...`);
+    
+    const { merged, structureSide } = mergeMangaJSON(base, ours, theirs, strategy);
+    reportResult({ structureSide, mangaViews: merged.manga ? merged.manga.views : 0 });
+    
+    if (!saveJSON(outputPath, merged)) {
+        process.exit(1);
+    }
+    
+    console.log(`✅ Structure from ${structureSide}, manga views: ${merged.manga ? merged.manga.views : 0}`);
+    console.log(`📄 Written to ${outputPath}`);
+}
+
+// One section of daily-views.json (daily/weekly/monthly records), record by record.
+// Counters add both sides' deltas onto base, so a day compact-views rolled up on
+// one side while the Worker counted more views on the other keeps just the new views.
+function mergeViewRecords(base, ours, theirs) {
+    const merged = {};
+    const sameAsBase = (side, key) => stableStringify(side[key]) === stableStringify(base[key]);
+    
+    new Set([...Object.keys(ours), ...Object.keys(theirs)]).forEach(key => {
+        // Removed on one side, untouched on the other → stays removed
+        if (key in base && ((!(key in ours) && sameAsBase(theirs, key)) || (!(key in theirs) && sameAsBase(ours, key)))) {
+            return;
+        }
+        
+        const [b, o, t] = [base[key], ours[key], theirs[key]].map(cloneViewRecord);
+        const record = {};
+        const froms = [base[key], ours[key], theirs[key]].map(r => r && r.from).filter(Boolean).sort();
+        const tos = [base[key], ours[key], theirs[key]].map(r => r && r.to).filter(Boolean).sort();
+        if (froms.length > 0) {
+            record.from = froms[0];
+        }
+        if (tos.length > 0) {
+            record.to = tos[tos.length - 1];
+        }
+        record.manga = mergeViewCount(b.manga, o.manga, t.manga, 'sum');
+        record.chapters = {};
+        new Set([...Object.keys(o.chapters), ...Object.keys(t.chapters)]).forEach(chapterName => {
+            const views = mergeViewCount(b.chapters[chapterName], o.chapters[chapterName], t.chapters[chapterName], 'sum');
+            if (views > 0) {
+                record.chapters[chapterName] = views;
+            }
+        });
+        record.chapters = sortObjectKeys(record.chapters);
+        merged[key] = record;
+    });
+    
+    return sortObjectKeys(merged);
+}
+
+const VIEW_RECORD_SECTIONS = ['dailyRecords', 'weeklyRecords', 'monthlyRecords'];
+
+// Other top-level keys (lastCleanup, ...) come from the side that changed them
+function mergeDailyViews(base, ours, theirs) {
+    const merged = {};
+    
+    new Set([...Object.keys(ours), ...Object.keys(theirs)]).forEach(key => {
+        if (VIEW_RECORD_SECTIONS.includes(key)) {
+            merged[key] = mergeViewRecords(base[key] || {}, ours[key] || {}, theirs[key] || {});
+        } else if (key in ours && key in theirs) {
+            merged[key] = stableStringify(ours[key]) === stableStringify(base[key]) ? theirs[key] : ours[key];
+        } else if (!(key in base)) {
+            merged[key] = key in ours ? ours[key] : theirs[key];
+        }
+    });
+    
+    return merged;
+}
+
+function commandMergeViews(basePath, oursPath, theirsPath) {
+    const outputPath = getOption('output') || oursPath;
+    
+    if (!basePath || !oursPath || !theirsPath) {
+        console.error('❌ Usage: node manga-automation.js merge-views <base> <ours> <theirs> [--output file]');
+        process.exit(1);
+    }
+    
+    const base = loadJSON(basePath) || {};
+    const ours = loadJSON(oursPath);
+    const theirs = loadJSON(theirsPath);
+    
+    if (!ours || !theirs) {
+        console.error(`❌ Could not parse ${!ours ? oursPath : theirsPath} - leaving the conflict to git`);
+        process.exit(1);
+    }
+    
+    console.log('🔀 Merging daily-views.json...');
+    
+    const merged = mergeDailyViews(base, ours, theirs);
+    
+    // Both sides' views must survive: merged total = base + ours' delta + theirs' delta
+    const [b, o, t, m] = [base, ours, theirs, merged].map(data => sumDailyViews(data, null, null));
+    const expectedManga = o.manga + t.manga - b.manga;
+    reportResult({ mangaViews: m.manga, expectedMangaViews: expectedManga });
+    if (m.manga !== expectedManga) {
+        console.error(`❌ Merged manga views ${m.manga} != expected ${expectedManga} - leaving the conflict to git`);
+        process.exit(1);
+    }
+    
+    if (!saveJSON(outputPath, merged)) {
+        process.exit(1);
+    }
+    
+    console.log(`✅ Merged, manga views: ${m.manga}`);
+    console.log(`📄 Written to ${outputPath}`);
+}
+
+// ============================================
+// COMMAND 10: LOCAL VIEW SERVER (WORKER STAND-IN)
+// ============================================
+
+// Same ingest contract as the Cloudflare Worker, for offline end-to-end runs:
+//   POST /view  {"chapter": "5"}  (no chapter → manga page view)
+//   GET  /view?chapter=5
+//   POST /flush → write pending views now (the Worker does this at 00:00 WIB)
+//   GET  /pending
+//   POST /dispatches → records notify payloads instead of api.github.com
+// Clients are identified by X-Client-Id, falling back to IP + User-Agent.
+
+function createViewTracker(dedupeMs) {
+    return {
+        dedupeMs,
+        seen: new Map(),     // "client|target" → last counted ms
+        pending: {},         // local day → { manga, chapters }
+        dispatches: []       // payloads received on /dispatches
+    };
+}
+
+// Returns true when the hit counts, false when deduped
+function recordViewHit(tracker, clientId, chapterName, now = runtime.now()) {
+    const nowMs = now.getTime();
+    tracker.seen.forEach((time, key) => {
+        if (nowMs - time >= tracker.dedupeMs) {
+            tracker.seen.delete(key);
+        }
+    });
+    
+    const dedupeKey = `${clientId}|${chapterName || 'manga'}`;
+    if (tracker.seen.has(dedupeKey)) {
+        return false;
+    }
+    tracker.seen.set(dedupeKey, nowMs);
+    
+    const day = getLocalDateString(now);
+    const record = tracker.pending[day] || (tracker.pending[day] = { manga: 0, chapters: {} });
+    if (chapterName) {
+        record.chapters[chapterName] = (record.chapters[chapterName] || 0) + 1;
+    } else {
+        record.manga++;
+    }
+    return true;
+}
+
+// Adds pending hits to manga.json counters and daily-views.json records
+function flushViewHits(tracker) {
+    const days = Object.keys(tracker.pending).sort();
+    if (days.length === 0) {
+        return { days: [], manga: 0, chapters: 0 };
+    }
+    
+    const mangaData = loadJSON('manga.json');
+    if (!mangaData) {
+        throw new Error('manga.json not found - run generate first');
+    }
+    const dailyViews = loadJSON('daily-views.json') || { dailyRecords: {} };
+    dailyViews.dailyRecords = dailyViews.dailyRecords || {};
+    
+    const flushed = { manga: 0, chapters: {} };
+    days.forEach(day => {
+        const record = tracker.pending[day];
+        dailyViews.dailyRecords[day] = addViewRecord(
+            cloneViewRecord(dailyViews.dailyRecords[day]),
+            record
+        );
+        addViewRecord(flushed, record);
+    });
+    dailyViews.dailyRecords = sortObjectKeys(dailyViews.dailyRecords);
+    
+    mangaData.manga.views = (mangaData.manga.views || 0) + flushed.manga;
+    Object.entries(flushed.chapters).forEach(([name, views]) => {
+        if (mangaData.chapters[name]) {
+            mangaData.chapters[name].views = (mangaData.chapters[name].views || 0) + views;
+        }
+    });
+    
+    if (!saveJSON('daily-views.json', dailyViews) || !saveJSON('manga.json', mangaData)) {
+        throw new Error('could not write view files');
+    }
+    
+    tracker.pending = {};
+    return {
+        days,
+        manga: flushed.manga,
+        chapters: Object.values(flushed.chapters).reduce((sum, views) => sum + views, 0)
+    };
+}
+
+function readRequestBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > 10000) {
+                reject(new Error('body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+function sendJSON(res, status, data) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(data));
+}
+
+function createViewServer(tracker) {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        
+        try {
+            if (url.pathname === '/view' && (req.method === 'POST' || req.method === 'GET')) {
+                let chapterName = url.searchParams.get('chapter');
+                if (req.method === 'POST') {
+                    const body = await readRequestBody(req);
+                    const payload = body ? JSON.parse(body) : {};
+                    chapterName = payload.chapter !== undefined ? String(payload.chapter) : chapterName;
+                }
+                
+                const mangaData = loadJSON('manga.json');
+                if (chapterName && !(mangaData && mangaData.chapters && mangaData.chapters[chapterName])) {
+                    return sendJSON(res, 404, { error: `unknown chapter "${chapterName}"` });
+                }
+                
+                const clientId = req.headers['x-client-id'] ||
+                    `${req.socket.remoteAddress}|${req.headers['user-agent'] || ''}`;
+                const counted = recordViewHit(tracker, clientId, chapterName);
+                return sendJSON(res, 200, { counted, chapter: chapterName || null });
+            }
+            
+            if (url.pathname === '/flush' && req.method === 'POST') {
+                const result = flushViewHits(tracker);
+                console.log(`💾 Flushed ${result.manga} manga + ${result.chapters} chapter view(s)`);
+                return sendJSON(res, 200, result);
+            }
+            
+            if (url.pathname === '/pending' && req.method === 'GET') {
+                return sendJSON(res, 200, tracker.pending);
+            }
+            
+            // Stand-in for api.github.com repository dispatches (notify --endpoint)
+            if (url.pathname === '/dispatches' && req.method === 'POST') {
+                const payload = JSON.parse(await readRequestBody(req));
+                tracker.dispatches.push(payload);
+                console.log(`📨 Dispatch received: ${payload.event_type} (${payload.client_payload && payload.client_payload.reason})`);
+                res.writeHead(204);
+                return res.end();
+            }
+            
+            if (url.pathname === '/dispatches' && req.method === 'GET') {
+                return sendJSON(res, 200, tracker.dispatches);
+            }
+            
+            return sendJSON(res, 404, { error: 'not found' });
+        } catch (error) {
+            const status = error instanceof SyntaxError ? 400 : 500;
+            return sendJSON(res, status, { error: error.message });
+        }
+    });
+}
+
+function commandServeViews() {
+    const port = parseInt(getOption('port') || '8787', 10);
+    const dedupeMinutes = parseFloat(getOption('dedupe-minutes') || '30');
+    const tracker = createViewTracker(dedupeMinutes * 60 * 1000);
+    const server = createViewServer(tracker);
+    
+    // Daily flush at the local day boundary, like the Worker's 00:00 WIB cron
+    let currentDay = getLocalDateString();
+    const timer = setInterval(() => {
+        const today = getLocalDateString();
+        if (today !== currentDay) {
+            currentDay = today;
+            try {
+                const result = flushViewHits(tracker);
+                console.log(`🌙 Daily flush (${result.days.join(', ') || 'no views'})`);
+            } catch (error) {
+                console.error('❌ Daily flush failed:', error.message);
+            }
+        }
+    }, 60 * 1000);
+    
+    const shutdown = () => {
+        clearInterval(timer);
+        try {
+            const result = flushViewHits(tracker);
+            if (result.days.length > 0) {
+                console.log(`💾 Flushed pending views before exit (${result.days.join(', ')})`);
+            }
+        } catch (error) {
+            console.error('❌ Final flush failed:', error.message);
+        }
+        server.close(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    
+    server.listen(port, () => {
+        console.log(`👀 View server listening on http://localhost:${port} (dedupe: ${dedupeMinutes} min)`);
+        console.log('   POST /view {"chapter":"5"} · POST /flush · GET /pending · POST /dispatches');
+    });
+}
+
+// ============================================
+// COMMAND 11: RELEASE FEEDS (RSS / ATOM / JSON FEED)
+// ============================================
+
+const DEFAULT_FEED_CONFIG = {
+    siteUrl: 'https://nuranantoscans.my.id',
+    mangaUrl: '{site}/info-manga.html?repo={repo}',
+    chapterUrl: '{site}/reader.html?repo={repo}&chapter={chapter}',
+    lockedChapters: 'skip',     // 'skip' | 'early-access'
+    limit: 50
+};
+
+const FEED_LOCKED_RULES = ['skip', 'early-access'];
+
+function getFeedConfig(config) {
+    return { ...DEFAULT_FEED_CONFIG, ...(config.feed || {}) };
+}
+
+function fillUrlTemplate(template, feedConfig, config, chapterName) {
+    return template
+        .replace(/\{site\}/g, feedConfig.siteUrl.replace(/\/+$/, ''))
+        .replace(/\{repo\}/g, encodeURIComponent(config.repoName))
+        .replace(/\{chapter\}/g, encodeURIComponent(chapterName || ''));
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function getImageMimeSubtype(url) {
+    const extension = (url.split('?')[0].split('.').pop() || '').toLowerCase();
+    return extension === 'jpg' ? 'jpeg' : extension;
+}
+
+// Identity of a chapter entry - never depends on title, date or lock state
+function getFeedGuid(config, chapterName) {
+    return `urn:manga:${config.repoOwner}:${config.repoName}:chapter:${chapterName}`;
+}
+
+// Newest upload first; chapters without an upload date are not released yet
+function buildFeedItems(config, mangaJSON) {
+    const feedConfig = getFeedConfig(config);
+    
+    return Object.entries(mangaJSON.chapters || {})
+        .filter(([, chapter]) => chapter.uploadDate && !chapter.uploadDatePending)
+        .filter(([, chapter]) => !(chapter.locked && feedConfig.lockedChapters === 'skip'))
+        .sort(([nameA, a], [nameB, b]) =>
+            (Date.parse(b.uploadDate) - Date.parse(a.uploadDate)) || compareChapters(nameB, nameA, config))
+        .slice(0, feedConfig.limit)
+        .map(([name, chapter]) => {
+            const earlyAccess = chapter.locked && feedConfig.lockedChapters === 'early-access';
+            const baseTitle = chapter.subtitle ? `${chapter.title}: ${chapter.subtitle}` : chapter.title;
+            const summary = earlyAccess
+                ? `${baseTitle} - early access${chapter.unlockAt ? `, free from ${chapter.unlockAt}` : ''}`
+                : `${baseTitle} - ${chapter.totalPages || 0} page${chapter.totalPages === 1 ? '' : 's'}`;
+            
+            return {
+                guid: getFeedGuid(config, name),
+                title: `${earlyAccess ? '🔒 [Early Access] ' : ''}${config.title} - ${baseTitle}`,
+                url: fillUrlTemplate(feedConfig.chapterUrl, feedConfig, config, name),
+                date: chapter.uploadDate,
+                summary
+            };
+        });
+}
+
+function buildRssFeed(config, mangaJSON, items) {
+    const feedConfig = getFeedConfig(config);
+    const mangaUrl = fillUrlTemplate(feedConfig.mangaUrl, feedConfig, config);
+    const buildDate = mangaJSON.lastChapterUpdate || mangaJSON.lastUpdated;
+    
+    const itemXml = items.map(item => [
+        '    <item>',
+        `      <title>${escapeXml(item.title)}</title>`,
+        `      <link>${escapeXml(item.url)}</link>`,
+        `      <guid isPermaLink="false">${escapeXml(item.guid)}</guid>`,
+        `      <pubDate>${new Date(item.date).toUTCString()}</pubDate>`,
+        `      <description>${escapeXml(item.summary)}</description>`,
+        config.cover ? `      <enclosure url="${escapeXml(config.cover)}" length="0" type="image/${escapeXml(getImageMimeSubtype(config.cover))}"/>` : null,
+        '    </item>'
+    ].filter(Boolean).join('\n'));
+    
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0">',
+        '  <channel>',
+        `    <title>${escapeXml(config.title)}</title>`,
+        `    <link>${escapeXml(mangaUrl)}</link>`,
+        `    <description>${escapeXml(config.description || config.title)}</description>`,
+        `    <language>${escapeXml(getLocale().toLowerCase())}</language>`,
+        buildDate ? `    <lastBuildDate>${new Date(buildDate).toUTCString()}</lastBuildDate>` : null,
+        config.cover ? [
+            '    <image>',
+            `      <url>${escapeXml(config.cover)}</url>`,
+            `      <title>${escapeXml(config.title)}</title>`,
+            `      <link>${escapeXml(mangaUrl)}</link>`,
+            '    </image>'
+        ].join('\n') : null,
+        ...itemXml,
+        '  </channel>',
+        '</rss>',
+        ''
+    ].filter(line => line !== null).join('\n');
+}
+
+function buildAtomFeed(config, mangaJSON, items) {
+    const feedConfig = getFeedConfig(config);
+    const mangaUrl = fillUrlTemplate(feedConfig.mangaUrl, feedConfig, config);
+    const updated = mangaJSON.lastChapterUpdate || mangaJSON.lastUpdated || (items[0] && items[0].date);
+    
+    const entryXml = items.map(item => [
+        '  <entry>',
+        `    <id>${escapeXml(item.guid)}</id>`,
+        `    <title>${escapeXml(item.title)}</title>`,
+        `    <link href="${escapeXml(item.url)}"/>`,
+        `    <published>${escapeXml(item.date)}</published>`,
+        `    <updated>${escapeXml(item.date)}</updated>`,
+        `    <summary>${escapeXml(item.summary)}</summary>`,
+        '  </entry>'
+    ].join('\n'));
+    
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(getLocale())}">`,
+        `  <id>urn:manga:${escapeXml(config.repoOwner)}:${escapeXml(config.repoName)}</id>`,
+        `  <title>${escapeXml(config.title)}</title>`,
+        `  <subtitle>${escapeXml(config.description || config.title)}</subtitle>`,
+        `  <link href="${escapeXml(mangaUrl)}"/>`,
+        updated ? `  <updated>${escapeXml(updated)}</updated>` : null,
+        config.author ? `  <author><name>${escapeXml(config.author)}</name></author>` : null,
+        config.cover ? `  <logo>${escapeXml(config.cover)}</logo>` : null,
+        ...entryXml,
+        '</feed>',
+        ''
+    ].filter(line => line !== null).join('\n');
+}
+
+function buildJsonFeed(config, items) {
+    const feedConfig = getFeedConfig(config);
+    
+    return {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: config.title,
+        home_page_url: fillUrlTemplate(feedConfig.mangaUrl, feedConfig, config),
+        description: config.description,
+        icon: config.cover,
+        language: getLocale(),
+        authors: config.author ? [{ name: config.author }] : undefined,
+        items: items.map(item => ({
+            id: item.guid,
+            url: item.url,
+            title: item.title,
+            content_text: item.summary,
+            image: config.cover,
+            date_published: item.date
+        }))
+    };
+}
+
+function writeFeeds(config, mangaJSON) {
+    const items = buildFeedItems(config, mangaJSON);
+    
+    if (!writeTextFile('feed.xml', buildRssFeed(config, mangaJSON, items)) ||
+        !writeTextFile('atom.xml', buildAtomFeed(config, mangaJSON, items)) ||
+        !saveJSON('feed.json', buildJsonFeed(config, items))) {
+        return false;
+    }
+    reportCounts({ feedEntries: items.length });
+    
+    console.log(`📰 Feeds written: feed.xml, atom.xml, feed.json (${items.length} entries)`);
+    return true;
+}
+
+function commandFeed() {
+    const config = loadConfig();
+    const mangaJSON = loadJSON('manga.json');
+    
+    if (!mangaJSON) {
+        console.error('❌ manga.json not found - run generate first');
+        process.exit(1);
+    }
+    
+    if (!writeFeeds(config, mangaJSON)) {
+        process.exit(1);
+    }
+}
+
+// ============================================
+// COMMAND 12: EXPORT (MIHON / TACHIYOMI + COMICINFO)
+// ============================================
+
+// Mihon/Tachiyomi local-source status codes
+const LOCAL_SOURCE_STATUS = {
+    ONGOING: '1',
+    END: '2',
+    DROPPED: '5',
+    HIATUS: '6'
+};
+
+function buildLocalSourceDetails(config) {
+    return {
+        title: config.title,
+        author: config.author || '',
+        artist: config.artist || config.author || '',
+        description: [config.alternativeTitle, config.description].filter(Boolean).join('\n\n'),
+        genre: config.genre || [],
+        status: LOCAL_SOURCE_STATUS[config.status] || '0',
+        '_status values': ['0 = Unknown', '1 = Ongoing', '2 = Completed', '3 = Licensed', '4 = Publishing finished', '5 = Cancelled', '6 = On hiatus']
+    };
+}
+
+function buildComicInfo(config, chapterName, chapter) {
+    const feedConfig = getFeedConfig(config);
+    const uploadDay = chapter.uploadDate ? chapter.uploadDate.slice(0, 10).split('-') : null;
+    const tag = (name, value) => (value === undefined || value === null || value === ''
+        ? null
+        : `  <${name}>${escapeXml(value)}</${name}>`);
+    
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+        tag('Title', chapter.subtitle ? `${chapter.title}: ${chapter.subtitle}` : chapter.title),
+        tag('Series', config.title),
+        tag('Number', chapter.chapter),
+        tag('Volume', chapter.volume),
+        tag('Summary', config.description),
+        tag('Year', uploadDay && parseInt(uploadDay[0], 10)),
+        tag('Month', uploadDay && parseInt(uploadDay[1], 10)),
+        tag('Day', uploadDay && parseInt(uploadDay[2], 10)),
+        tag('Writer', config.author),
+        tag('Penciller', config.artist),
+        tag('Genre', (config.genre || []).join(', ')),
+        tag('Web', fillUrlTemplate(feedConfig.chapterUrl, feedConfig, config, chapterName)),
+        tag('PageCount', chapter.totalPages),
+        tag('LanguageISO', getLocale().split('-')[0].toLowerCase()),
+        tag('Manga', config.type === 'manga' ? 'YesAndRightToLeft' : 'Yes'),
+        '</ComicInfo>',
+        ''
+    ].filter(line => line !== null).join('\n');
+}
+
+function commandExport() {
+    const outDir = getOption('out') || 'export';
+    const config = loadConfig();
+    const mangaData = loadJSON('manga.json');
+    
+    if (!mangaData || !mangaData.chapters) {
+        console.error('❌ manga.json not found - run generate first');
+        process.exit(1);
+    }
+    
+    console.log(`📦 Exporting offline-library metadata to ${outDir}/...\n`);
+    
+    try {
+        fs.mkdirSync(outDir, { recursive: true });
+        if (!saveJSON(path.join(outDir, 'details.json'), buildLocalSourceDetails(config))) {
+            process.exit(1);
+        }
+        console.log('✅ details.json (Mihon/Tachiyomi local source)');
+        
+        const chapterNames = Object.keys(mangaData.chapters).sort((a, b) => compareChapters(a, b, config));
+        chapterNames.forEach(chapterName => {
+            const chapterDir = path.join(outDir, chapterName);
+            fs.mkdirSync(chapterDir, { recursive: true });
+            const written = writeTextFile(
+                path.join(chapterDir, 'ComicInfo.xml'),
+                buildComicInfo(config, chapterName, mangaData.chapters[chapterName])
+            );
+            if (!written) {
+                process.exit(1);
+            }
+        });
+        reportCounts({ chapters: chapterNames.length });
+        console.log(`✅ ComicInfo.xml for ${chapterNames.length} chapter(s)`);
+    } catch (error) {
+        console.error('❌ Export failed:', error.message);
+        process.exit(1);
+    }
+}
+
+// ============================================
+// COMMAND 13: NOTIFY WEBSITE (REPOSITORY DISPATCH)
+// ============================================
+
+const DEFAULT_DISPATCH_ENDPOINT = 'https://api.github.com/repos/nurananto/nuranantoscans/dispatches';
+
+// Fields that change on every view flush or regeneration - never worth a rebuild
+const NOTIFY_IGNORED_FIELDS = ['views', 'lastChapterUpdate'];
+
+function loadPreviousMangaJSON(previousPath, previousRef) {
+    if (previousPath) {
+        return loadJSON(previousPath);
+    }
+    
+    try {
+        const content = execSync(`git show ${previousRef}:manga.json`, {
+            cwd: runtime.root,
+            encoding: 'utf8',
+            stdio: ['pipe', 'pipe', 'ignore']
+        });
+        return JSON.parse(content);
+    } catch (error) {
+        return null;
+    }
+}
+
+// What the website needs to know, chapter by chapter
+function buildChangeSummary(oldData, newData) {
+    const diff = diffMangaJSON(oldData, newData);
+    const unique = list => Array.from(new Set(list));
+    
+    return {
+        chaptersAdded: diff.chaptersAdded,
+        chaptersRemoved: diff.chaptersRemoved,
+        chaptersUnlocked: diff.lockChanged.filter(c => !c.to).map(c => c.chapter),
+        chaptersLocked: diff.lockChanged.filter(c => c.to).map(c => c.chapter),
+        pagesChanged: diff.pagesChanged.map(c => ({ chapter: c.chapter, from: c.from, to: c.to })),
+        chaptersEdited: unique([
+            ...diff.uploadDateChanged.map(c => c.chapter),
+            ...diff.chapterFieldsChanged.map(c => c.chapter)
+        ]),
+        metadataChanged: unique(diff.metadataChanged
+            .map(c => c.field)
+            .filter(field => !NOTIFY_IGNORED_FIELDS.includes(field)))
+    };
+}
+
+function getNotifyReason(oldData, changes) {
+    if (!oldData) return 'first_time';
+    if (changes.chaptersAdded.length > 0 || changes.chaptersRemoved.length > 0) return 'chapter_count_changed';
+    if (changes.chaptersUnlocked.length > 0 || changes.chaptersLocked.length > 0) return 'lock_changed';
+    if (changes.pagesChanged.length > 0) return 'manifest_changed';
+    if (changes.metadataChanged.length > 0) return 'config_changed';
+    return 'chapters_updated';
+}
+
+const NOTIFY_MESSAGES = {
+    first_time: repo => `First-time manga setup for ${repo}`,
+    chapter_count_changed: repo => `Chapters updated - ${repo}`,
+    lock_changed: repo => `Chapter access changed - ${repo}`,
+    manifest_changed: repo => `Manifest updated - ${repo}`,
+    config_changed: repo => `Config updated - ${repo}`,
+    chapters_updated: repo => `Manga updated - ${repo}`
+};
+
+function buildDispatchPayload(repoName, oldData, changes, now = runtime.now()) {
+    const reason = getNotifyReason(oldData, changes);
+    
+    return {
+        event_type: 'manga-updated',
+        client_payload: {
+            manga: repoName,
+            timestamp: now.toISOString().replace(/\.\d{3}Z$/, 'Z'),
+            message: NOTIFY_MESSAGES[reason](repoName),
+            reason,
+            changes
+        }
+    };
+}
+
+async function commandNotify() {
+    const dryRun = hasFlag('dry-run');
+    const endpoint = getOption('endpoint') || process.env.NOTIFY_ENDPOINT || DEFAULT_DISPATCH_ENDPOINT;
+    const previousRef = getOption('previous-ref') || 'HEAD~1';
+    
+    const config = loadConfig();
+    const newData = loadJSON('manga.json');
+    if (!newData) {
+        console.error('❌ manga.json not found - run generate first');
+        process.exit(1);
+    }
+    
+    const oldData = loadPreviousMangaJSON(getOption('previous'), previousRef);
+    const changes = buildChangeSummary(oldData, newData);
+    const hasChanges = !oldData || Object.values(changes).some(list => list.length > 0);
+    reportResult({ changes, sent: false });
+    
+    if (!hasChanges) {
+        console.log('ℹ️  No structural changes - website rebuild not needed');
+        console.log('💡 View updates are handled by Cloudflare Worker');
+        return;
+    }
+    
+    const repoName = (process.env.GITHUB_REPOSITORY || '').split('/').pop() || config.repoName;
+    const payload = buildDispatchPayload(repoName, oldData, changes);
+    
+    console.log(`📤 ${payload.client_payload.message} (reason: ${payload.client_payload.reason})`);
+    console.log(JSON.stringify(payload.client_payload.changes, null, 2));
+    
+    if (dryRun) {
+        console.log('\n🧪 Dry run - dispatch not sent');
+        return;
+    }
+    
+    const token = process.env.PAT_TOKEN;
+    if (!token && endpoint === DEFAULT_DISPATCH_ENDPOINT) {
+        console.error('❌ PAT_TOKEN environment variable not set');
+        process.exit(1);
+    }
+    
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+            'Accept': 'application/vnd.github.v3+json',
+            'Content-Type': 'application/json',
+            ...(token ? { 'Authorization': `token ${token}` } : {})
+        },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(15000)
+    });
+    
+    if (!response.ok) {
+        console.error(`❌ Dispatch failed: HTTP ${response.status} ${await response.text()}`);
+        process.exit(1);
+    }
+    
+    reportResult({ sent: true, reason: payload.client_payload.reason });
+    reportChanged();
+    console.log(`\n✅ Website rebuild triggered! (Reason: ${payload.client_payload.reason})`);
+}
+
+// ============================================
+// COMMAND 14: SYNC COVER FROM WEBSITE CONFIG
+// ============================================
+
+// Website manga-config.js via the GitHub API (raw.githubusercontent.com is CDN-cached)
+const DEFAULT_WEBSITE_CONFIG_URL = 'https://api.github.com/repos/nurananto/nuranantoscans/contents/manga-config.js';
+
+const DEFAULT_COVER_HOSTS = [
+    'cdn.nuranantoscans.my.id',
+    'img.nuranantoscans.my.id',
+    '*.r2.dev',
+    '*.r2.cloudflarestorage.com'
+];
+
+async function fetchWebsiteConfig(url, attempts = 5, delayMs = 5000) {
+    const headers = { 'Accept': 'application/vnd.github.raw', 'X-GitHub-Api-Version': '2022-11-28' };
+    if (process.env.GITHUB_TOKEN) {
+        headers['Authorization'] = `token ${process.env.GITHUB_TOKEN}`;
+    }
+    
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        console.log(`📥 Fetching website config (attempt ${attempt}/${attempts})...`);
+        try {
+            const response = await fetch(url, { headers, signal: AbortSignal.timeout(15000) });
+            const text = response.ok ? await response.text() : '';
+            if (text.trim()) {
+                return text;
+            }
+            console.warn(`⚠️ HTTP ${response.status}${response.ok ? ' (empty body)' : ''}`);
+        } catch (error) {
+            console.warn(`⚠️ ${error.message}`);
+        }
+        
+        if (attempt < attempts) {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+    
+    throw new Error(`could not download website config after ${attempts} attempts`);
+}
+
+// Runs the website's manga-config.js in an empty context (no require, process
+// or eval) and copies MANGA_LIST out as plain data. The context gets its own
+// microtask queue, drained inside each timeout - otherwise a promise chain in
+// the config would keep running on the main queue after the timeout returns
+function extractMangaList(source) {
+    const context = vm.createContext(Object.create(null), {
+        codeGeneration: { strings: false, wasm: false },
+        microtaskMode: 'afterEvaluate'
+    });
+    
+    vm.runInContext(source, context, { timeout: 1000, filename: 'manga-config.js' });
+    const listJSON = vm.runInContext(
+        'typeof MANGA_LIST === "undefined" ? null : JSON.stringify(MANGA_LIST)',
+        context,
+        { timeout: 1000 }
+    );
+    
+    const list = listJSON ? JSON.parse(listJSON) : null;
+    if (!Array.isArray(list)) {
+        throw new Error('MANGA_LIST not found in website config');
+    }
+    return list;
+}
+
+function isAllowedCoverUrl(url, allowedHosts) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return false;
+    }
+    if (parsed.protocol !== 'https:') {
+        return false;
+    }
+    
+    const host = parsed.hostname.toLowerCase();
+    return allowedHosts.some(pattern => {
+        const allowed = pattern.toLowerCase();
+        return allowed.startsWith('*.')
+            ? host.endsWith(allowed.slice(1))
+            : host === allowed;
+    });
+}
+
+// Writes every file to a temp path first, then renames them all - a failure
+// part-way never leaves one file updated without the other
+function saveJSONFilesAtomic(files) {
+    const written = [];
+    
+    try {
+        files.forEach(({ filename, data }) => {
+            const tempPath = `${filename}.${process.pid}.tmp`;
+            const fd = fs.openSync(tempPath, 'w');
+            written.push({ filename, tempPath });
+            try {
+                fs.writeSync(fd, JSON.stringify(data, null, 2), null, 'utf8');
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+        });
+        written.forEach(({ filename, tempPath }) => {
+            fs.renameSync(tempPath, filename);
+            reportFileWritten(filename);
+        });
+        return true;
+    } catch (error) {
+        written.forEach(({ tempPath }) => fs.rmSync(tempPath, { force: true }));
+        console.error('❌ Error saving files:', error.message);
+        return false;
+    }
+}
+
+async function commandSyncCover() {
+    const configFile = getOption('config-file');
+    const configUrl = getOption('config-url') || DEFAULT_WEBSITE_CONFIG_URL;
+    const dryRun = hasFlag('dry-run');
+    
+    const config = loadConfig();
+    const repoName = getOption('repo') || (process.env.GITHUB_REPOSITORY || '').split('/').pop() || config.repoName;
+    const allowedHosts = config.coverHosts || DEFAULT_COVER_HOSTS;
+    
+    console.log(`🖼️  Syncing cover for ${repoName}...\n`);
+    
+    const source = configFile ? fs.readFileSync(configFile, 'utf8') : await fetchWebsiteConfig(configUrl);
+    const entry = extractMangaList(source).find(manga => manga && manga.repo === repoName);
+    
+    if (!entry || !entry.cover) {
+        console.error(`❌ Cover not found in website config for repo: ${repoName}`);
+        process.exit(1);
+    }
+    
+    const coverUrl = String(entry.cover);
+    reportResult({ repo: repoName, cover: coverUrl });
+    if (!isAllowedCoverUrl(coverUrl, allowedHosts)) {
+        console.error(`❌ Cover URL host not allowed: ${coverUrl}`);
+        console.error(`   Allowed: ${allowedHosts.join(', ')} (set "coverHosts" in manga-config.json)`);
+        process.exit(1);
+    }
+    
+    const mangaData = loadJSON('manga.json');
+    const updates = [];
+    
+    if (config.cover !== coverUrl) {
+        updates.push({ filename: 'manga-config.json', data: { ...config, cover: coverUrl }, from: config.cover });
+    }
+    if (mangaData && mangaData.manga && mangaData.manga.cover !== coverUrl) {
+        updates.push({
+            filename: 'manga.json',
+            data: { ...mangaData, manga: { ...mangaData.manga, cover: coverUrl } },
+            from: mangaData.manga.cover
+        });
+    }
+    
+    if (updates.length === 0) {
+        console.log(`✅ Cover already up to date - nothing to change\n   ${coverUrl}`);
+        return;
+    }
+    
+    updates.forEach(update => {
+        console.log(`📝 ${update.filename}`);
+        console.log(`   Old: ${update.from || '(none)'}`);
+        console.log(`   New: ${coverUrl}`);
+    });
+    
+    if (dryRun) {
+        console.log('\n🧪 Dry run - nothing written');
+        return;
+    }
+    
+    if (!saveJSONFilesAtomic(updates)) {
+        process.exit(1);
+    }
+    console.log('\n✅ Cover synced');
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+function main() {
+    const command = process.argv[2];
+    
+    enableRunReport(command);
+    
+    // Machine-readable output goes to stdout alone - no banner
+    if (hasFlag('json') || ['json', 'csv'].includes(getOption('format'))) {
+        return runCommand(command);
+    }
+    
+    console.log('╔════════════════════════════════════════╗');
+    console.log('║ MANGA AUTOMATION v7.0 - SIMPLIFIED    ║');
+    console.log('║ ✅ Cloudflare Worker Integration      ║');
+    console.log('║ ✅ Configurable Timezone              ║');
+    console.log('║ ✅ Manifest-based Detection           ║');
+    console.log('║ 🎯 Oneshot Support                    ║');
+    console.log('║ 🔒 Locked Chapters                     ║');
+    console.log('╚════════════════════════════════════════╝\n');
+    
+    runCommand(command);
+}
+
+function runCommand(command) {
+    switch (command) {
+        case 'generate':
+            commandGenerate();
+            break;
+        case 'cleanup':
+            commandCleanup();
+            break;
+        case 'scaffold':
+            commandScaffold(process.argv[3]);
+            break;
+        case 'validate':
+            commandValidate();
+            break;
+        case 'release-due':
+            commandReleaseDue();
+            break;
+        case 'stats':
+            commandStats();
+            break;
+        case 'compact-views':
+            commandCompactViews();
+            break;
+        case 'reconcile':
+            commandReconcile();
+            break;
+        case 'merge':
+            commandMerge(process.argv[3], process.argv[4], process.argv[5]);
+            break;
+        case 'merge-views':
+            commandMergeViews(process.argv[3], process.argv[4], process.argv[5]);
+            break;
+        case 'serve-views':
+            commandServeViews();
+            break;
+        case 'feed':
+            commandFeed();
+            break;
+        case 'export':
+            commandExport();
+            break;
+        case 'notify':
+            commandNotify().catch(error => {
+                console.error('❌ Notify failed:', error.message);
+                process.exit(1);
+            });
+            break;
+        case 'sync-cover':
+            commandSyncCover().catch(error => {
+                console.error('❌ Cover sync failed:', error.message);
+                process.exit(1);
+            });
+            break;
+        default:
+            console.log('Usage:');
+            console.log('  node manga-automation.js generate → Generate manga.json from chapter folders');
+            console.log('      --dry-run  → Print the diff against manga.json without writing');
+            console.log('      --check    → Exit 1 when manga.json is out of date');
+            console.log('  node manga-automation.js cleanup  → Remove old pending files');
+            console.log('  node manga-automation.js scaffold <chapter> → Build manifest.json from page images or --urls file');
+            console.log('  node manga-automation.js validate [--strict] → Check config, manifests and chapter continuity');
+            console.log('  node manga-automation.js release-due [--apply] → Report (and apply) scheduled unlocks that have passed');
+            console.log('  node manga-automation.js stats [--format table|json|csv] [--as-of YYYY-MM-DD] [--top N] [--write] → View report (+ trending.json on the default run or --write)');
+            console.log('  node manga-automation.js compact-views [--keep-days N] [--keep-weeks N] [--dry-run] → Roll old daily views into weekly/monthly records');
+            console.log('  node manga-automation.js reconcile [--rebuild] [--check] → Compare manga.json views with daily-views.json');
+            console.log('  node manga-automation.js merge <base> <ours> <theirs> [--output file] [--views sum|max] → Three-way merge of manga.json');
+            console.log('  node manga-automation.js merge-views <base> <ours> <theirs> [--output file] → Three-way merge of daily-views.json');
+            console.log('  node manga-automation.js serve-views [--port 8787] [--dedupe-minutes 30] → Local stand-in for the view Worker');
+            console.log('  node manga-automation.js feed     → Rebuild feed.xml, atom.xml, feed.json from manga.json');
+            console.log('  node manga-automation.js export [--out dir] → details.json (Mihon/Tachiyomi) + ComicInfo.xml per chapter');
+            console.log('  node manga-automation.js notify [--previous file | --previous-ref ref] [--endpoint url] [--dry-run] → Trigger website rebuild');
+            console.log('  node manga-automation.js sync-cover [--config-file path | --config-url url] [--dry-run] → Take cover URL from website config');
+            console.log('');
+            console.log('  Any command: --json / --report <file> → structured result; exit 0 nothing to do, 2 changed, 1 failed');
+            console.log('');
+            console.log('💡 View tracking is now handled by Cloudflare Worker');
+            console.log('   Worker updates manga.json daily at 00:00 WIB');
+            process.exit(1);
+    }
+}
+
+// ============================================
+// LIBRARY API
+// ============================================
+
+const LIBRARY_FUNCTIONS = {
+    loadConfig,
+    loadJSON,
+    loadManifest,
+    getChapterFolders,
+    getUploadDate,
+    generateChaptersData,
+    buildMangaJSON,
+    diffMangaJSON,
+    validateConfig,
+    validateManifest,
+    findChapterGaps,
+    buildViewStats,
+    compactDailyViews,
+    reconcileViews,
+    mergeMangaJSON,
+    mergeDailyViews,
+    buildFeedItems,
+    buildRssFeed,
+    buildAtomFeed,
+    buildJsonFeed,
+    buildLocalSourceDetails,
+    buildComicInfo,
+    buildChangeSummary,
+    buildDispatchPayload,
+    extractMangaList,
+    isAllowedCoverUrl
+};
+
+// Same functions, each call run against the given root / fs / gitDate / now
+function createMangaAutomation(options = {}) {
+    return bindLibrary(LIBRARY_FUNCTIONS, options);
+}
+
+module.exports = {
+    ...LIBRARY_FUNCTIONS,
+    createMangaAutomation,
+    withRuntime,
+    normalizeLockedChapters,
+    isChapterLocked,
+    compareChapters,
+    stableStringify,
+    MangaAutomationError,
+    ConfigError
+};
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        if (!(error instanceof MangaAutomationError)) {
+            throw error;
+        }
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
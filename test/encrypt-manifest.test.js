@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEncryptManifest, decryptManifestPages, ManifestKeyError } = require('../encrypt-manifest');
+const { FIXTURE_ROOT, pageUrls, manifest, seriesFiles, createFixture } = require('./helpers/fixtures');
+
+// The library logs its progress like the CLI does - keep test output readable
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+mock.method(console, 'error', () => {});
+
+const TOKEN = 'test-token-0123456789abcdef';
+const NEW_TOKEN = 'rotated-token-fedcba9876543210';
+const EXPECTED = { host: 'cdn.example.com', fileName: /^Image\d+\.webp$/i };
+
+// git: { "<git args>": stdout } - every other git call returns nothing
+function setup(files, { git = {}, forceScanAll = false } = {}) {
+    const memoryFs = createFixture(files);
+    const encryptor = createEncryptManifest({
+        root: FIXTURE_ROOT,
+        fs: memoryFs,
+        git: args => git[args] || '',
+        forceScanAll
+    });
+    return { memoryFs, encryptor };
+}
+
+// The encrypt command as the workflow runs it, on a scratch copy of files
+function runCli(files, args, env) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'encrypt-manifest-'));
+    try {
+        Object.entries(files).forEach(([relativePath, data]) => {
+            fs.mkdirSync(path.dirname(path.join(dir, relativePath)), { recursive: true });
+            fs.writeFileSync(path.join(dir, relativePath), typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+        });
+        const child = spawnSync(process.execPath, [path.join(__dirname, '..', 'encrypt-manifest.js'), ...args], {
+            cwd: dir,
+            encoding: 'utf8',
+            timeout: 60000,
+            env: { ...process.env, FORCE_SCAN_ALL: '', ...env }
+        });
+        return { status: child.status, stderr: child.stderr, report: args.includes('--json') ? JSON.parse(child.stdout) : null };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+function decryptedUrls(memoryFs, manifestPath, token) {
+    return decryptManifestPages(memoryFs.readJSON(manifestPath), token).map(entry => entry.url);
+}
+
+// encryption_version 1.0 as older versions of the script wrote it
+function legacyManifest(chapter, count, token) {
+    const key = crypto.createHash('sha256').update(token).digest();
+    const pages = pageUrls(chapter, count).map(url => {
+        const iv = crypto.randomBytes(16);
+        const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+        return `${iv.toString('hex')}:${Buffer.concat([cipher.update(url, 'utf8'), cipher.final()]).toString('hex')}`;
+    });
+    return { chapter, total_pages: count, pages, encrypted: true, encryption_version: '1.0' };
+}
+
+test('plaintext manifests, including the oneshot, are picked up; folders without one are not', () => {
+    const { encryptor } = setup({ ...seriesFiles(), '3/Image01.webp': '' });
+    
+    assert.deepEqual(encryptor.getManifestsToEncrypt(), ['1/manifest.json', '2/manifest.json', 'oneshot/manifest.json']);
+});
+
+test('with every manifest encrypted, detection falls back to the injected git provider', () => {
+    const { encryptor } = setup(seriesFiles(), {
+        git: { 'diff --name-only HEAD~1 HEAD': '1/manifest.json\nREADME.md' }
+    });
+    ['1', '2', 'oneshot'].forEach(chapter => encryptor.encryptManifest(`${chapter}/manifest.json`, TOKEN));
+    
+    assert.deepEqual(encryptor.getManifestsToEncrypt(), ['1/manifest.json']);
+});
+
+test('forceScanAll returns every manifest', () => {
+    const { encryptor } = setup(seriesFiles(), { forceScanAll: true });
+    encryptor.encryptManifest('1/manifest.json', TOKEN);
+    
+    assert.deepEqual(encryptor.getManifestsToEncrypt(), ['1/manifest.json', '2/manifest.json', 'oneshot/manifest.json']);
+});
+
+test('rotate re-encrypts every manifest with the new token', () => {
+    const { memoryFs, encryptor } = setup(seriesFiles());
+    ['1', '2', 'oneshot'].forEach(chapter => encryptor.encryptManifest(`${chapter}/manifest.json`, TOKEN));
+    const oldKeyId = memoryFs.readJSON('2/manifest.json').key_id;
+    
+    assert.equal(encryptor.reencryptManifests(TOKEN, NEW_TOKEN), 3);
+    
+    assert.notEqual(memoryFs.readJSON('2/manifest.json').key_id, oldKeyId);
+    assert.deepEqual(decryptedUrls(memoryFs, '2/manifest.json', NEW_TOKEN), pageUrls('2', 2));
+    assert.ok(decryptManifestPages(memoryFs.readJSON('2/manifest.json'), TOKEN).every(entry => entry.error));
+    assert.equal(encryptor.reencryptManifests(TOKEN, NEW_TOKEN), 0);
+});
+
+test('rotate with the wrong old token writes nothing', () => {
+    const { memoryFs, encryptor } = setup(seriesFiles());
+    encryptor.encryptManifest('1/manifest.json', TOKEN);
+    const before = memoryFs.readJSON('1/manifest.json');
+    
+    assert.equal(encryptor.reencryptManifests('wrong-token', NEW_TOKEN), null);
+    assert.deepEqual(memoryFs.readJSON('1/manifest.json'), before);
+});
+
+test('encrypt round-trip: v2.0 GCM entries decrypt back to their URLs', () => {
+    const { memoryFs, encryptor } = setup(seriesFiles());
+    
+    encryptor.getManifestsToEncrypt().forEach(manifestPath => {
+        assert.equal(encryptor.encryptManifest(manifestPath, TOKEN), true);
+    });
+    
+    const encrypted = memoryFs.readJSON('oneshot/manifest.json');
+    assert.equal(encrypted.encryption_version, '2.0');
+    assert.equal(encrypted.kdf.iterations, 100000);
+    assert.ok(encrypted.pages.every(page => /^[0-9a-f]{24}:[0-9a-f]+$/.test(page)));
+    assert.deepEqual(decryptedUrls(memoryFs, 'oneshot/manifest.json', TOKEN), pageUrls('oneshot', 4));
+    
+    const tampered = memoryFs.readJSON('1/manifest.json');
+    tampered.pages[0] = tampered.pages[0].replace(/.$/, last => (last === '0' ? '1' : '0'));
+    assert.ok(decryptManifestPages(tampered, TOKEN)[0].error);
+    
+    assert.equal(encryptor.encryptManifest('1/manifest.json', TOKEN), false);
+    assert.deepEqual(encryptor.getManifestsToEncrypt(), []);
+});
+
+test('migrate upgrades a v1.0 manifest to v2.0 with the same token', () => {
+    const { memoryFs, encryptor } = setup({
+        ...seriesFiles(),
+        '1/manifest.json': legacyManifest('1', 3, TOKEN),
+        '2/manifest.json': manifest('2', 2)
+    });
+    
+    assert.equal(encryptor.reencryptManifests(TOKEN, TOKEN), 1);
+    
+    const migrated = memoryFs.readJSON('1/manifest.json');
+    assert.equal(migrated.encryption_version, '2.0');
+    assert.deepEqual(decryptedUrls(memoryFs, '1/manifest.json', TOKEN), pageUrls('1', 3));
+    assert.deepEqual(memoryFs.readJSON('2/manifest.json'), manifest('2', 2));
+});
+
+test('verify passes canonical manifests and lists every problem of a bad one', () => {
+    const { memoryFs, encryptor } = setup({
+        ...seriesFiles(),
+        '2/manifest.json': {
+            chapter: '2',
+            total_pages: 3,
+            pages: ['https://other.example.com/TestManga/2/Image01.webp', 'https://cdn.example.com/TestManga/2/page-2.png']
+        }
+    });
+    ['1', '2'].forEach(chapter => encryptor.encryptManifest(`${chapter}/manifest.json`, TOKEN));
+    
+    assert.deepEqual(encryptor.verifyManifest('1/manifest.json', TOKEN, EXPECTED), { pages: 3, problems: [] });
+    assert.deepEqual(encryptor.verifyManifest('2/manifest.json', TOKEN, EXPECTED).problems, [
+        'total_pages is 3 but manifest has 2 pages',
+        'page 1: host other.example.com (expected cdn.example.com)',
+        'page 2: file name page-2.png does not match /^Image\\d+\\.webp$/i'
+    ]);
+    assert.deepEqual(encryptor.verifyManifest('oneshot/manifest.json', TOKEN, EXPECTED).problems.slice(0, 1), [
+        'page 1: entry is NOT encrypted (plaintext URL)'
+    ]);
+    
+    memoryFs.writeFile('1/manifest.json', '{ not json');
+    assert.match(encryptor.verifyManifest('1/manifest.json', TOKEN, EXPECTED).problems[0], /^invalid JSON/);
+});
+
+test('mixed manifest: only the plaintext entries are encrypted, with the existing key', () => {
+    const { memoryFs, encryptor } = setup(seriesFiles());
+    encryptor.encryptManifest('1/manifest.json', TOKEN);
+    const mixed = memoryFs.readJSON('1/manifest.json');
+    const encryptedPages = mixed.pages.slice();
+    mixed.pages.push(pageUrls('1', 4)[3]);
+    mixed.total_pages = 4;
+    memoryFs.writeFile('1/manifest.json', mixed);
+    
+    assert.equal(encryptor.encryptManifest('1/manifest.json', TOKEN), true);
+    
+    const updated = memoryFs.readJSON('1/manifest.json');
+    assert.deepEqual(updated.pages.slice(0, 3), encryptedPages);
+    assert.equal(updated.kdf.salt, mixed.kdf.salt);
+    assert.deepEqual(decryptedUrls(memoryFs, '1/manifest.json', TOKEN), pageUrls('1', 4));
+});
+
+test('mixed manifest under another key throws ManifestKeyError and is left untouched', () => {
+    const { memoryFs, encryptor } = setup(seriesFiles());
+    encryptor.encryptManifest('1/manifest.json', TOKEN);
+    const mixed = memoryFs.readJSON('1/manifest.json');
+    mixed.pages.push(pageUrls('1', 4)[3]);
+    memoryFs.writeFile('1/manifest.json', mixed);
+    const before = memoryFs.readJSON('1/manifest.json');
+    
+    assert.throws(
+        () => encryptor.encryptManifest('1/manifest.json', NEW_TOKEN),
+        error => error instanceof ManifestKeyError && error.code === 'KEY_MISMATCH'
+    );
+    assert.deepEqual(memoryFs.readJSON('1/manifest.json'), before);
+});
+
+test('each chapter gets its own key, bound to repo and folder', () => {
+    const { memoryFs, encryptor } = setup(seriesFiles());
+    ['1', 'oneshot'].forEach(chapter => encryptor.encryptManifest(`${chapter}/manifest.json`, TOKEN));
+    
+    const oneshot = memoryFs.readJSON('oneshot/manifest.json');
+    assert.deepEqual(oneshot.key_derivation, { scheme: 'chapter', hash: 'SHA-256', info: 'TestManga/oneshot' });
+    
+    // Same token and salt, other chapter: the entries do not decrypt
+    const chapter1 = memoryFs.readJSON('1/manifest.json');
+    const rebound = { ...chapter1, key_derivation: { ...chapter1.key_derivation, info: 'TestManga/oneshot' } };
+    assert.ok(decryptManifestPages(rebound, TOKEN).every(entry => entry.error));
+    
+    // A manifest copied to another folder fails verify
+    memoryFs.writeFile('2/manifest.json', { ...oneshot, chapter: '2' });
+    assert.equal(
+        encryptor.verifyManifest('2/manifest.json', TOKEN, EXPECTED).problems[0],
+        'key is bound to "TestManga/oneshot", expected "TestManga/2"'
+    );
+});
+
+test('missing manifest: encryptManifest throws instead of reporting success', () => {
+    const { encryptor } = setup(seriesFiles());
+    
+    assert.throws(() => encryptor.encryptManifest('3/manifest.json', TOKEN), { code: 'ENOENT' });
+});
+
+test('encrypt run fails with exit 1 when a manifest cannot be encrypted, the rest still are', () => {
+    const { memoryFs, encryptor } = setup(seriesFiles());
+    encryptor.encryptManifest('1/manifest.json', NEW_TOKEN);
+    const mixed = memoryFs.readJSON('1/manifest.json');
+    mixed.pages.push(pageUrls('1', 4)[3]);
+    
+    const run = runCli({ ...seriesFiles(), '1/manifest.json': mixed }, ['--json'], { SECRET_TOKEN: TOKEN });
+    
+    assert.equal(run.status, 1);
+    assert.equal(run.report.status, 'failed');
+    assert.deepEqual(run.report.filesWritten, ['2/manifest.json', 'oneshot/manifest.json']);
+    assert.deepEqual(run.report.result.failures.map(failure => [failure.manifest, failure.code]), [['1/manifest.json', 'KEY_MISMATCH']]);
+});
+
+test('key_id comes out of PBKDF2, not a fast hash of the token', () => {
+    const { memoryFs, encryptor } = setup(seriesFiles());
+    encryptor.encryptManifest('1/manifest.json', TOKEN);
+    
+    const baseKey = crypto.pbkdf2Sync(TOKEN, 'manifest-key-id', 100000, 32, 'sha256');
+    const expected = Buffer.from(crypto.hkdfSync('sha256', baseKey, Buffer.alloc(0), 'key-id', 4)).toString('hex');
+    const fastHash = crypto.createHash('sha256').update(crypto.createHash('sha256').update(TOKEN).digest()).digest('hex').slice(0, 8);
+    
+    assert.equal(memoryFs.readJSON('1/manifest.json').key_id, expected);
+    assert.notEqual(expected, fastHash);
+});
+
+test('manifests carrying the old fast-hash key_id still match their token and lose it on migrate', () => {
+    const { memoryFs, encryptor } = setup(seriesFiles());
+    ['1', '2'].forEach(chapter => encryptor.encryptManifest(`${chapter}/manifest.json`, TOKEN));
+    const newKeyId = memoryFs.readJSON('1/manifest.json').key_id;
+    const legacyKeyId = crypto.createHash('sha256').update(crypto.createHash('sha256').update(TOKEN).digest()).digest('hex').slice(0, 8);
+    ['1', '2'].forEach(chapter => {
+        const manifestPath = `${chapter}/manifest.json`;
+        memoryFs.writeFile(manifestPath, { ...memoryFs.readJSON(manifestPath), key_id: legacyKeyId });
+    });
+    const mixed = memoryFs.readJSON('1/manifest.json');
+    mixed.pages.push(pageUrls('1', 4)[3]);
+    memoryFs.writeFile('1/manifest.json', mixed);
+    
+    assert.equal(encryptor.encryptManifest('1/manifest.json', TOKEN), true);
+    assert.equal(memoryFs.readJSON('1/manifest.json').key_id, newKeyId);
+    
+    assert.equal(encryptor.reencryptManifests(TOKEN, TOKEN), 1);
+    assert.equal(memoryFs.readJSON('2/manifest.json').key_id, newKeyId);
+    assert.deepEqual(decryptedUrls(memoryFs, '2/manifest.json', TOKEN), pageUrls('2', 2));
+});
+
+test('verify reports unparseable page URLs as problems instead of crashing', () => {
+    const { encryptor } = setup({
+        ...seriesFiles(),
+        '1/manifest.json': {
+            chapter: '1',
+            total_pages: 3,
+            pages: [pageUrls('1', 1)[0], 'https://[cdn.example.com/Image02.webp', 'https://cdn.example.com/TestManga/1/Image%E0%A4%A.webp']
+        }
+    });
+    encryptor.encryptManifest('1/manifest.json', TOKEN);
+    
+    const { problems } = encryptor.verifyManifest('1/manifest.json', TOKEN, EXPECTED);
+    
+    assert.equal(problems.length, 2);
+    assert.match(problems[0], /^page 2: malformed URL https:\/\/\[cdn\.example\.com\/Image02\.webp \(/);
+    assert.match(problems[1], /^page 3: malformed URL /);
+});
+
+test('decrypt exits 1 with a message on a corrupt manifest or an unusable key', () => {
+    const { memoryFs, encryptor } = setup(seriesFiles());
+    encryptor.encryptManifest('1/manifest.json', TOKEN);
+    const unknownScheme = memoryFs.readJSON('1/manifest.json');
+    unknownScheme.key_derivation.scheme = 'volume';
+    
+    const corrupt = runCli({ ...seriesFiles(), '1/manifest.json': '{ "pages": [' }, ['decrypt', '1'], { SECRET_TOKEN: TOKEN });
+    assert.equal(corrupt.status, 1);
+    assert.match(corrupt.stderr, /1\/manifest\.json is not valid JSON/);
+    assert.doesNotMatch(corrupt.stderr, /\n\s+at /);
+    
+    const keyError = runCli({ ...seriesFiles(), '1/manifest.json': unknownScheme }, ['decrypt', '1'], { SECRET_TOKEN: TOKEN });
+    assert.equal(keyError.status, 1);
+    assert.match(keyError.stderr, /unknown key_derivation scheme "volume"/);
+});
@@ -0,0 +1,56 @@
+/**
+ * Fixture trees for the library tests: { "relative/path": content } maps
+ * loaded into an in-memory fs rooted at FIXTURE_ROOT.
+ */
+
+const { createMemoryFs } = require('./memory-fs');
+
+const FIXTURE_ROOT = '/fixture';
+const CDN = 'https://cdn.example.com/TestManga';
+
+const BASE_CONFIG = {
+    title: 'Test Manga',
+    description: 'A manga used by the tests',
+    author: 'Author',
+    artist: 'Artist',
+    cover: 'https://cdn.example.com/covers/test.webp',
+    repoOwner: 'owner',
+    repoName: 'TestManga',
+    status: 'ONGOING',
+    imagePrefix: 'Image',
+    imageFormat: 'webp',
+    timezone: 'Asia/Jakarta',
+    lockedChapters: []
+};
+
+function pageUrls(chapter, count) {
+    return Array.from({ length: count }, (_, index) =>
+        `${CDN}/${chapter}/Image${String(index + 1).padStart(2, '0')}.webp`);
+}
+
+function manifest(chapter, count) {
+    return { chapter, total_pages: count, pages: pageUrls(chapter, count) };
+}
+
+// Two regular chapters plus a oneshot, all with manifests
+function seriesFiles(configOverrides = {}) {
+    return {
+        'manga-config.json': { ...BASE_CONFIG, ...configOverrides },
+        '1/manifest.json': manifest('1', 3),
+        '2/manifest.json': manifest('2', 2),
+        'oneshot/manifest.json': manifest('oneshot', 4)
+    };
+}
+
+function createFixture(files) {
+    return createMemoryFs(FIXTURE_ROOT, files);
+}
+
+module.exports = {
+    FIXTURE_ROOT,
+    BASE_CONFIG,
+    pageUrls,
+    manifest,
+    seriesFiles,
+    createFixture
+};
@@ -0,0 +1,110 @@
+/**
+ * In-memory stand-in for the sync fs calls the scripts make through
+ * automation-runtime.js. Paths arrive already resolved against the root.
+ */
+
+const path = require('path');
+
+function enoent(syscall, target) {
+    const error = new Error(`ENOENT: no such file or directory, ${syscall} '${target}'`);
+    error.code = 'ENOENT';
+    return error;
+}
+
+// files: { "relative/path": string | object (stored as pretty JSON) }
+function createMemoryFs(root, files = {}) {
+    const contents = new Map();
+    const dirs = new Set([root]);
+    const handles = new Map();
+    let nextFd = 100;
+    
+    const addParents = target => {
+        let dir = path.dirname(target);
+        while (!dirs.has(dir) && dir !== path.dirname(dir)) {
+            dirs.add(dir);
+            dir = path.dirname(dir);
+        }
+    };
+    const write = (target, data) => {
+        addParents(target);
+        contents.set(target, typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+    };
+    
+    Object.entries(files).forEach(([relativePath, data]) => write(path.join(root, relativePath), data));
+    
+    return {
+        contents,
+        
+        // Test helpers (not part of the fs API)
+        readJSON: relativePath => JSON.parse(contents.get(path.join(root, relativePath))),
+        writeFile: (relativePath, data) => write(path.join(root, relativePath), data),
+        
+        existsSync: target => contents.has(target) || dirs.has(target),
+        readFileSync: target => {
+            if (!contents.has(target)) {
+                throw enoent('open', target);
+            }
+            return contents.get(target);
+        },
+        writeFileSync: (target, data) => write(target, String(data)),
+        readdirSync: (target, options = {}) => {
+            if (!dirs.has(target)) {
+                throw enoent('scandir', target);
+            }
+            const names = [...contents.keys(), ...dirs]
+                .filter(entry => entry !== target && path.dirname(entry) === target)
+                .map(entry => path.basename(entry))
+                .sort();
+            if (!options.withFileTypes) {
+                return names;
+            }
+            return names.map(name => {
+                const isDirectory = dirs.has(path.join(target, name));
+                return { name, isDirectory: () => isDirectory, isFile: () => !isDirectory };
+            });
+        },
+        statSync: target => {
+            if (!contents.has(target) && !dirs.has(target)) {
+                throw enoent('stat', target);
+            }
+            return {
+                mtime: new Date('2025-01-01T00:00:00Z'),
+                isDirectory: () => dirs.has(target),
+                isFile: () => contents.has(target)
+            };
+        },
+        mkdirSync: target => {
+            addParents(path.join(target, '_'));
+        },
+        unlinkSync: target => {
+            if (!contents.delete(target)) {
+                throw enoent('unlink', target);
+            }
+        },
+        rmSync: target => {
+            contents.delete(target);
+        },
+        renameSync: (from, to) => {
+            if (!contents.has(from)) {
+                throw enoent('rename', from);
+            }
+            write(to, contents.get(from));
+            contents.delete(from);
+        },
+        openSync: target => {
+            write(target, '');
+            handles.set(nextFd, target);
+            return nextFd++;
+        },
+        writeSync: (fd, data) => {
+            const target = handles.get(fd);
+            contents.set(target, contents.get(target) + String(data));
+        },
+        fsyncSync: () => {},
+        closeSync: fd => {
+            handles.delete(fd);
+        }
+    };
+}
+
+module.exports = { createMemoryFs };
@@ -0,0 +1,501 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createMangaAutomation, ConfigError, buildViewStats, compactDailyViews, reconcileViews, mergeMangaJSON,
+    mergeDailyViews, extractMangaList, isAllowedCoverUrl
+} = require('../manga-automation');
+const { createEncryptManifest } = require('../encrypt-manifest');
+const { FIXTURE_ROOT, manifest, seriesFiles, createFixture } = require('./helpers/fixtures');
+
+// The library logs its progress like the CLI does - keep test output readable
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const FIXED_NOW = new Date('2026-03-01T00:00:00Z');
+const SCRIPT = path.join(__dirname, '..', 'manga-automation.js');
+
+// gitDates: { "relative/path": ISO date } - anything else has no git history
+function setup(files, { now = FIXED_NOW, gitDates = {} } = {}) {
+    const memoryFs = createFixture(files);
+    let clock = now;
+    const manga = createMangaAutomation({
+        root: FIXTURE_ROOT,
+        fs: memoryFs,
+        gitDate: relativePath => gitDates[relativePath] || null,
+        now: () => clock
+    });
+    return { memoryFs, manga, config: manga.loadConfig(), setNow: date => { clock = date; } };
+}
+
+// Commands run as the workflow runs them: a real process in a scratch directory.
+// Returns the exit code, the --json report and outputFile as the command left it.
+function runCli(files, args, outputFile = 'manga-config.json') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manga-automation-'));
+    try {
+        Object.entries(files).forEach(([relativePath, data]) => {
+            fs.mkdirSync(path.dirname(path.join(dir, relativePath)), { recursive: true });
+            fs.writeFileSync(path.join(dir, relativePath), typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+        });
+        const child = spawnSync(process.execPath, [SCRIPT, ...args], { cwd: dir, encoding: 'utf8', timeout: 30000 });
+        return {
+            status: child.status,
+            report: args.includes('--json') ? JSON.parse(child.stdout) : null,
+            output: JSON.parse(fs.readFileSync(path.join(dir, outputFile), 'utf8'))
+        };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('upload dates come from the injected git provider, else the folder mtime', () => {
+    const { manga, config } = setup(seriesFiles(), {
+        gitDates: { '2/manifest.json': '2026-02-10T03:00:00Z' }
+    });
+    
+    const { chapters } = manga.generateChaptersData(config, null);
+    
+    assert.equal(chapters['2'].uploadDate, '2026-02-10T10:00:00+07:00');
+    assert.equal(chapters['1'].uploadDate, '2025-01-01T07:00:00+07:00');
+});
+
+test('buildMangaJSON stamps lastUpdated from the injected clock', () => {
+    const { manga, config } = setup(seriesFiles());
+    
+    const mangaJSON = manga.buildMangaJSON(config, null);
+    
+    assert.equal(mangaJSON.lastUpdated, '2026-03-01T07:00:00+07:00');
+});
+
+test('loadConfig throws ConfigError instead of exiting', () => {
+    const manga = createMangaAutomation({ root: FIXTURE_ROOT, fs: createFixture({}) });
+    
+    assert.throws(() => manga.loadConfig(), error => error instanceof ConfigError && /manga-config\.json/.test(error.message));
+});
+
+test('upload dates are kept from manga.json instead of being recomputed from git', () => {
+    const { manga, config } = setup(seriesFiles(), { gitDates: { '1/manifest.json': '2026-02-27T00:00:00Z' } });
+    const previous = manga.buildMangaJSON(config, null);
+    previous.chapters['1'].uploadDate = '2024-06-01T12:00:00+07:00';
+    
+    const { chapters } = manga.generateChaptersData(config, previous);
+    
+    assert.equal(chapters['1'].uploadDate, '2024-06-01T12:00:00+07:00');
+});
+
+test('a no-op generate keeps lastUpdated; a real change moves it to the clock', () => {
+    const { memoryFs, manga, config, setNow } = setup(seriesFiles());
+    const first = manga.buildMangaJSON(config, null);
+    
+    setNow(new Date('2026-03-02T00:00:00Z'));
+    assert.equal(manga.buildMangaJSON(config, first).lastUpdated, first.lastUpdated);
+    
+    memoryFs.writeFile('1/manifest.json', manifest('1', 5));
+    assert.equal(manga.buildMangaJSON(config, first).lastUpdated, '2026-03-02T07:00:00+07:00');
+});
+
+test('announced locked chapter keeps a pending date until its folder arrives', () => {
+    const { memoryFs, manga, config } = setup(seriesFiles({
+        lockedChapters: [{ chapter: '3', unlockAt: '2026-04-01 19:00' }]
+    }), { gitDates: { '3/manifest.json': '2026-03-20T00:00:00Z', '3': '2026-03-20T00:00:00Z' } });
+    
+    const announced = manga.generateChaptersData(config, null);
+    assert.equal(announced.chapters['3'].locked, true);
+    assert.equal(announced.chapters['3'].totalPages, 0);
+    assert.equal(announced.chapters['3'].uploadDatePending, true);
+    assert.equal(announced.chapters['3'].uploadDate, '2026-04-01T19:00:00+07:00');
+    assert.notEqual(announced.lastChapterUpdate, announced.chapters['3'].uploadDate);
+    
+    memoryFs.writeFile('3/manifest.json', manifest('3', 2));
+    const uploaded = manga.generateChaptersData(config, { chapters: announced.chapters }).chapters;
+    assert.equal(uploaded['3'].uploadDatePending, undefined);
+    assert.equal(uploaded['3'].uploadDate, '2026-03-20T07:00:00+07:00');
+    assert.equal(uploaded['3'].totalPages, 2);
+});
+
+test('unlocking a chapter without unlockAt keeps its upload date', () => {
+    const { manga, config } = setup(seriesFiles({ lockedChapters: ['2'] }), {
+        gitDates: { '2': '2026-02-20T00:00:00Z', '2/manifest.json': '2026-02-27T00:00:00Z' }
+    });
+    const locked = manga.generateChaptersData(config, null).chapters;
+    assert.equal(locked['2'].locked, true);
+    locked['2'].uploadDate = '2026-02-21T12:00:00+07:00';
+    
+    const unlocked = manga.generateChaptersData({ ...config, lockedChapters: [] }, { chapters: locked }).chapters;
+    assert.equal(unlocked['2'].locked, false);
+    assert.equal(unlocked['2'].uploadDate, '2026-02-21T12:00:00+07:00');
+});
+
+test('locked chapter with unlockAt stays locked until the injected clock passes it', () => {
+    const { manga, config, setNow } = setup(seriesFiles({
+        lockedChapters: [{ chapter: '2', unlockAt: '2026-03-05 19:00' }]
+    }), { gitDates: { '2': '2026-02-20T00:00:00Z' } });
+    
+    const before = manga.generateChaptersData(config, null).chapters;
+    assert.equal(before['2'].locked, true);
+    assert.equal(before['2'].unlockAt, '2026-03-05T19:00:00+07:00');
+    assert.equal(before['2'].uploadDate, '2026-02-20T07:00:00+07:00');
+    assert.equal(before['1'].nextUnlocked, null);
+    
+    setNow(new Date('2026-03-06T00:00:00Z'));
+    const after = manga.generateChaptersData(config, { chapters: before }).chapters;
+    assert.equal(after['2'].locked, false);
+    assert.equal(after['2'].uploadDate, '2026-03-05T19:00:00+07:00');
+    assert.equal(after['1'].nextUnlocked, '2');
+});
+
+test('release-due --apply drops only due chapters whose folder exists', () => {
+    const lockedChapters = [
+        { chapter: '2', unlockAt: '2020-01-01 00:00' },
+        { chapter: '3', unlockAt: '2020-01-01 00:00' },
+        { chapter: '4', unlockAt: '2999-01-01 00:00' },
+        '5'
+    ];
+    const files = seriesFiles({ lockedChapters });
+    
+    const dryRun = runCli(files, ['release-due', '--json']);
+    assert.equal(dryRun.status, 0);
+    assert.deepEqual(dryRun.report.result, { due: ['2'], applied: false });
+    assert.deepEqual(dryRun.output.lockedChapters, lockedChapters);
+    
+    const applied = runCli(files, ['release-due', '--apply', '--json']);
+    assert.equal(applied.status, 2);
+    assert.deepEqual(applied.report.filesWritten, ['manga-config.json']);
+    assert.deepEqual(applied.output.lockedChapters, lockedChapters.slice(1));
+});
+
+test('oneshot, side-story and extra folders get their kind, title and place in the order', () => {
+    const { manga, config } = setup({
+        ...seriesFiles({ chapters: { 'extra-2': { title: 'Omake Theater' } } }),
+        '1-afterword/manifest.json': manifest('1-afterword', 1),
+        'extra-2/manifest.json': manifest('extra-2', 1)
+    });
+    
+    const { chapters, readingOrder } = manga.generateChaptersData(config, null);
+    
+    assert.deepEqual(readingOrder, ['oneshot', '1', '1-afterword', '2', 'extra-2']);
+    assert.equal(chapters.oneshot.kind, 'oneshot');
+    assert.equal(chapters.oneshot.title, 'Oneshot');
+    assert.equal(chapters.oneshot.totalPages, 4);
+    assert.equal(chapters['1-afterword'].kind, 'extra');
+    assert.equal(chapters['1-afterword'].title, 'Chapter 1 - Afterword');
+    assert.equal(chapters['extra-2'].title, 'Omake Theater');
+});
+
+test('prev/next follow the reading order and nextUnlocked skips locked chapters', () => {
+    const { manga, config } = setup({
+        ...seriesFiles({ lockedChapters: ['2'] }),
+        '3/manifest.json': manifest('3', 2)
+    });
+    
+    const mangaJSON = manga.buildMangaJSON(config, null);
+    const { chapters } = mangaJSON;
+    
+    assert.equal(mangaJSON.firstChapter, 'oneshot');
+    assert.equal(mangaJSON.latestChapter, '3');
+    assert.deepEqual([chapters.oneshot.prev, chapters.oneshot.next], [null, '1']);
+    assert.deepEqual([chapters['1'].prev, chapters['1'].next, chapters['1'].nextUnlocked], ['oneshot', '2', '3']);
+    assert.deepEqual([chapters['3'].next, chapters['3'].nextUnlocked], [null, null]);
+});
+
+test('stats sums rolling windows, growth and trending chapters as of a given day', () => {
+    const dailyViews = {
+        dailyRecords: {
+            '2026-02-20': { manga: 10, chapters: { '2': 5 } },
+            '2026-02-28': { manga: 2, chapters: { '1': 2 } },
+            '2026-03-01': { manga: 4, chapters: { '1': 3, '2': 1 } }
+        }
+    };
+    
+    const stats = buildViewStats(dailyViews, { chapters: { '1': {}, '2': {} } }, {}, '2026-03-01', 1);
+    
+    assert.deepEqual(stats.totals['7d'], { manga: 6, chapters: 6 });
+    assert.deepEqual(stats.totals.all, { manga: 16, chapters: 11 });
+    assert.equal(stats.growth.dayOverDay.manga.percent, 100);
+    assert.equal(stats.growth.weekOverWeek.manga.percent, -40);
+    assert.deepEqual(stats.topChapters.map(row => row.chapter), ['1']);
+    assert.equal(stats.funnel.readThroughPercent, 120);
+});
+
+test('compaction rolls old days into weeks and months and keeps the first raw day', () => {
+    const dailyRecords = {};
+    ['2026-01-07', '2026-01-08', '2026-02-16', '2026-02-20'].forEach(day => {
+        dailyRecords[day] = { manga: 1, chapters: { '1': 1 } };
+    });
+    
+    const { compacted } = compactDailyViews({ dailyRecords }, '2026-02-25', { dailyDays: 7, weeklyWeeks: 1 });
+    
+    assert.deepEqual(Object.keys(compacted.dailyRecords), ['2026-02-20']);
+    assert.deepEqual(compacted.weeklyRecords['2026-02-16'], { from: '2026-02-16', to: '2026-02-16', manga: 1, chapters: { '1': 1 } });
+    assert.deepEqual(compacted.monthlyRecords['2026-01'], { from: '2026-01-07', manga: 2, chapters: { '1': 2 } });
+});
+
+test('reconcile reports drift per chapter, orphan history and where history starts', () => {
+    const mangaData = { manga: { views: 12 }, chapters: { '1': { views: 7 }, '2': { views: 3 } } };
+    const dailyViews = {
+        monthlyRecords: { '2026-01': { from: '2026-01-07', manga: 6, chapters: { '1': 5 } } },
+        dailyRecords: { '2026-02-20': { manga: 4, chapters: { '2': 3, '9': 1 } } }
+    };
+    
+    const report = reconcileViews(mangaData, dailyViews, {});
+    
+    assert.equal(report.historySince, '2026-01-07');
+    assert.deepEqual(report.manga, { recorded: 12, history: 10, drift: 2 });
+    assert.deepEqual(report.chapterDrift, [{ chapter: '1', recorded: 7, history: 5, drift: 2 }]);
+    assert.deepEqual(report.orphanChapters, [{ chapter: '9', history: 1 }]);
+});
+
+test('merge keeps the regenerated structure and sums both sides\' view increments', () => {
+    const { manga, config } = setup(seriesFiles());
+    const base = manga.buildMangaJSON(config, null);
+    base.manga.views = 100;
+    base.chapters['1'].views = 40;
+    
+    // ours: the workflow regenerated the structure; theirs: the Worker counted views
+    const ours = JSON.parse(JSON.stringify(base));
+    ours.chapters['1'].totalPages = 5;
+    ours.manga.views = 101;
+    ours.lastUpdated = '2026-03-02T07:00:00+07:00';
+    const theirs = JSON.parse(JSON.stringify(base));
+    theirs.manga.views = 110;
+    theirs.chapters['1'].views = 47;
+    theirs.chapters['2'].views = 3;
+    
+    const sum = mergeMangaJSON(base, ours, theirs, 'sum');
+    assert.equal(sum.structureSide, 'ours');
+    assert.equal(sum.merged.chapters['1'].totalPages, 5);
+    assert.equal(sum.merged.manga.views, 111);
+    assert.equal(sum.merged.chapters['1'].views, 47);
+    assert.equal(sum.merged.chapters['2'].views, 3);
+    
+    assert.equal(mergeMangaJSON(base, ours, theirs, 'max').merged.manga.views, 110);
+});
+
+test('merge runs as a git merge driver: %O %A %B in, merged result written over %A', () => {
+    const base = { manga: { views: 10 }, chapters: { '1': { views: 4 } }, lastUpdated: '2026-03-01T07:00:00+07:00' };
+    const ours = { manga: { views: 12 }, chapters: { '1': { views: 6 } }, lastUpdated: '2026-03-01T07:00:00+07:00' };
+    const theirs = { manga: { views: 15 }, chapters: { '1': { views: 4 }, '2': { views: 0 } }, lastUpdated: '2026-03-02T07:00:00+07:00' };
+    
+    const result = runCli({ base, ours, theirs }, ['merge', 'base', 'ours', 'theirs'], 'ours');
+    
+    assert.equal(result.status, 0);
+    assert.deepEqual(result.output, {
+        manga: { views: 17 },
+        chapters: { '1': { views: 6 }, '2': { views: 0 } },
+        lastUpdated: '2026-03-02T07:00:00+07:00'
+    });
+});
+
+test('daily-views merge keeps Worker views on days the other side rolled up', () => {
+    const base = { dailyRecords: { '2026-01-07': { manga: 2, chapters: {} } } };
+    const rolledUp = {
+        dailyRecords: {},
+        weeklyRecords: { '2026-01-05': { from: '2026-01-07', to: '2026-01-07', manga: 2, chapters: {} } }
+    };
+    const worker = { dailyRecords: { '2026-01-07': { manga: 5, chapters: {} }, '2026-03-01': { manga: 1, chapters: {} } } };
+    
+    const merged = mergeDailyViews(base, rolledUp, worker);
+    
+    assert.equal(merged.weeklyRecords['2026-01-05'].manga, 2);
+    assert.equal(merged.dailyRecords['2026-01-07'].manga, 3);
+    assert.equal(merged.dailyRecords['2026-03-01'].manga, 1);
+});
+
+test('feeds list released chapters newest first with stable ids and escaped XML', () => {
+    const { manga, config } = setup(seriesFiles({ title: 'Test & Manga', lockedChapters: ['2'] }), {
+        gitDates: { '1/manifest.json': '2026-02-01T00:00:00Z', 'oneshot/manifest.json': '2026-01-01T00:00:00Z' }
+    });
+    const mangaJSON = manga.buildMangaJSON(config, null);
+    
+    const items = manga.buildFeedItems(config, mangaJSON);
+    assert.deepEqual(items.map(item => item.guid), [
+        'urn:manga:owner:TestManga:chapter:1',
+        'urn:manga:owner:TestManga:chapter:oneshot'
+    ]);
+    assert.equal(items[0].url, 'https://nuranantoscans.my.id/reader.html?repo=TestManga&chapter=1');
+    assert.equal(items[0].summary, 'Chapter 1 - 3 pages');
+    
+    const earlyAccess = { ...config, feed: { lockedChapters: 'early-access' } };
+    const lockedItem = manga.buildFeedItems(earlyAccess, mangaJSON).find(item => item.guid.endsWith(':chapter:2'));
+    assert.equal(lockedItem.title, '🔒 [Early Access] Test & Manga - Chapter 2');
+    
+    const rss = manga.buildRssFeed(config, mangaJSON, items);
+    assert.match(rss, /<title>Test &amp; Manga - Chapter 1<\/title>/);
+    assert.match(rss, /<pubDate>Sun, 01 Feb 2026 00:00:00 GMT<\/pubDate>/);
+    assert.match(manga.buildAtomFeed(config, mangaJSON, items), /<id>urn:manga:owner:TestManga:chapter:oneshot<\/id>/);
+    assert.deepEqual(manga.buildJsonFeed(config, items).items.map(item => item.id), items.map(item => item.guid));
+});
+
+test('export builds Mihon details.json and a ComicInfo.xml per chapter', () => {
+    const { manga, config } = setup(seriesFiles({ genre: ['Comedy', 'Ghost'], type: 'manga' }), {
+        gitDates: { '1/manifest.json': '2026-02-01T03:00:00Z' }
+    });
+    const { chapters } = manga.buildMangaJSON(config, null);
+    
+    const details = manga.buildLocalSourceDetails(config);
+    assert.equal(details.status, '1');
+    assert.deepEqual(details.genre, ['Comedy', 'Ghost']);
+    
+    const comicInfo = manga.buildComicInfo(config, '1', chapters['1']);
+    [
+        '<Title>Chapter 1</Title>',
+        '<Series>Test Manga</Series>',
+        '<Number>1</Number>',
+        '<Year>2026</Year>',
+        '<Month>2</Month>',
+        '<Day>1</Day>',
+        '<Genre>Comedy, Ghost</Genre>',
+        '<PageCount>3</PageCount>',
+        '<Manga>YesAndRightToLeft</Manga>'
+    ].forEach(line => assert.ok(comicInfo.includes(line), line));
+    assert.ok(!comicInfo.includes('<Volume>'));
+});
+
+test('extractMangaList reads MANGA_LIST from the website config', () => {
+    const list = extractMangaList('const MANGA_LIST = [{ repo: "TestManga", cover: "https://cdn.example.com/c.webp" }];');
+    
+    assert.deepEqual(list, [{ repo: 'TestManga', cover: 'https://cdn.example.com/c.webp' }]);
+    assert.throws(() => extractMangaList('const OTHER = [];'), /MANGA_LIST not found/);
+});
+
+// Runs in a child process: a regression hangs that process (killed by the spawn
+// timeout) rather than the runner, whose own async hooks Node 20 also trips over
+// when a vm timeout interrupts a context's microtask queue
+test('extractMangaList times out on an endless promise chain instead of hanging', () => {
+    const hostile = 'const MANGA_LIST = []; Promise.resolve().then(function f() { return Promise.resolve().then(f); });';
+    const script = `
+        const { extractMangaList } = require(${JSON.stringify(SCRIPT)});
+        try {
+            extractMangaList(${JSON.stringify(hostile)});
+            console.log('no error');
+        } catch (error) {
+            console.log(error.code);
+        }
+        setImmediate(() => console.log('event loop free'));
+    `;
+    
+    const child = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 10000 });
+    
+    assert.equal(child.signal, null, 'config script kept running past the vm timeout');
+    assert.deepEqual(child.stdout.trim().split('\n'), ['ERR_SCRIPT_EXECUTION_TIMEOUT', 'event loop free']);
+});
+
+test('stats only writes trending.json on the default run or --write, and not for an asOf-only change', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manga-automation-'));
+    const stats = args => spawnSync(process.execPath, [SCRIPT, 'stats', '--report', 'report.json', ...args], { cwd: dir, encoding: 'utf8', timeout: 30000 });
+    const trendingPath = path.join(dir, 'trending.json');
+    try {
+        fs.writeFileSync(path.join(dir, 'daily-views.json'), JSON.stringify({
+            dailyRecords: { '2026-03-01': { manga: 4, chapters: { '1': 3 } } }
+        }));
+        
+        assert.equal(stats(['--format', 'json']).status, 0);
+        assert.equal(stats(['--as-of', '2026-03-01']).status, 0);
+        assert.equal(fs.existsSync(trendingPath), false);
+        
+        assert.equal(stats(['--as-of', '2026-03-01', '--format', 'csv', '--write']).status, 2);
+        const written = JSON.parse(fs.readFileSync(trendingPath, 'utf8'));
+        assert.equal(written.asOf, '2026-03-01');
+        assert.equal(written.totals['1d'].manga, 4);
+        
+        fs.writeFileSync(trendingPath, JSON.stringify({ ...written, asOf: '2026-02-28' }, null, 2));
+        assert.equal(stats(['--as-of', '2026-03-01', '--write']).status, 0);
+        assert.equal(JSON.parse(fs.readFileSync(trendingPath, 'utf8')).asOf, '2026-02-28');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('cover URLs must be https on an allowed host', () => {
+    const allowed = ['cdn.example.com', '*.githubusercontent.com'];
+    
+    assert.equal(isAllowedCoverUrl('https://cdn.example.com/c.webp', allowed), true);
+    assert.equal(isAllowedCoverUrl('https://raw.githubusercontent.com/o/r/main/c.webp', allowed), true);
+    assert.equal(isAllowedCoverUrl('http://cdn.example.com/c.webp', allowed), false);
+    assert.equal(isAllowedCoverUrl('https://cdn.example.com.evil.test/c.webp', allowed), false);
+    assert.equal(isAllowedCoverUrl('not a url', allowed), false);
+});
+
+// scaffold writes page URLs under getPagesBaseUrl(config); verify checks the same value
+test('scaffolded manifests pass verify after encryption, on raw GitHub or pagesBaseUrl', () => {
+    const encryptScript = path.join(__dirname, '..', 'encrypt-manifest.js');
+    const env = { ...process.env, SECRET_TOKEN: 'scaffold-test-token', FORCE_SCAN_ALL: '' };
+    const run = (dir, script, args) => spawnSync(process.execPath, [script, ...args], { cwd: dir, env, encoding: 'utf8', timeout: 60000 });
+    
+    [
+        [{}, 'https://raw.githubusercontent.com/owner/TestManga/main/1/Image01.webp'],
+        [{ pagesBaseUrl: 'https://pages.example.com/test-manga' }, 'https://pages.example.com/test-manga/1/Image01.webp']
+    ].forEach(([configOverrides, firstPage]) => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manga-automation-'));
+        try {
+            fs.writeFileSync(path.join(dir, 'manga-config.json'), JSON.stringify(seriesFiles(configOverrides)['manga-config.json']));
+            fs.mkdirSync(path.join(dir, '1'));
+            ['Image01.webp', 'Image02.webp'].forEach(name => fs.writeFileSync(path.join(dir, '1', name), ''));
+            
+            assert.equal(run(dir, SCRIPT, ['scaffold', '1']).status, 0);
+            const scaffolded = JSON.parse(fs.readFileSync(path.join(dir, '1', 'manifest.json'), 'utf8'));
+            assert.equal(scaffolded.pages[0], firstPage);
+            
+            assert.equal(run(dir, encryptScript, []).status, 0);
+            const verify = run(dir, encryptScript, ['verify']);
+            assert.equal(verify.status, 0, verify.stdout);
+            
+            fs.writeFileSync(path.join(dir, 'manga-config.json'),
+                JSON.stringify(seriesFiles({ pagesBaseUrl: 'https://elsewhere.example.com/' })['manga-config.json']));
+            const moved = run(dir, encryptScript, ['verify']);
+            assert.equal(moved.status, 1);
+            assert.match(moved.stdout, /page 1: .* is not under https:\/\/elsewhere\.example\.com\//);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+test('validate warns that cdnHost no longer picks the page host', () => {
+    const { manga, config } = setup(seriesFiles({ genre: ['Comedy'], cdnHost: 'cdn.example.com' }));
+    
+    assert.deepEqual(manga.validateConfig(config, ['1', '2']), {
+        errors: [],
+        warnings: ['"cdnHost" is no longer read - set "pagesBaseUrl" to where the chapter pages are served']
+    });
+});
+
+test('validate: a folder without manifest.json is a warning, like generate treats it', () => {
+    const { memoryFs, manga, config } = setup(seriesFiles());
+    memoryFs.mkdirSync(path.join(FIXTURE_ROOT, '3'));
+    
+    assert.equal(manga.generateChaptersData(config, null).chapters['3'].totalPages, 0);
+    assert.deepEqual(manga.validateManifest('3'), { errors: [], warnings: ['3: manifest.json is missing'] });
+    assert.deepEqual(manga.validateManifest('1'), { errors: [], warnings: ['1: 3 page(s) not encrypted yet'] });
+});
+
+test('validate accepts only the real v1.0 and v2.0 ciphertext shapes', () => {
+    const { memoryFs, manga } = setup(seriesFiles());
+    const encryptor = createEncryptManifest({ root: FIXTURE_ROOT, fs: memoryFs, git: () => '' });
+    encryptor.encryptManifest('1/manifest.json', 'validate-test-token');
+    assert.deepEqual(manga.validateManifest('1'), { errors: [], warnings: [] });
+    
+    const encrypted = memoryFs.readJSON('1/manifest.json');
+    const v1Entry = `${'a'.repeat(32)}:${'b'.repeat(64)}`;
+    memoryFs.writeFile('1/manifest.json', { ...encrypted, pages: [encrypted.pages[0], 'ab:cd', `${'a'.repeat(32)}:${'b'.repeat(30)}`] });
+    memoryFs.writeFile('2/manifest.json', { ...encrypted, total_pages: 2, pages: [encrypted.pages[0], v1Entry] });
+    
+    assert.deepEqual(manga.validateManifest('1').errors, ['1: 2 page entries are neither a URL nor ciphertext']);
+    assert.deepEqual(manga.validateManifest('2').errors, ['2: 1 page entry is not encryption_version 2.0']);
+});
+
+test('validate CLI passes with gaps and missing manifests, --strict fails on them', () => {
+    const files = { ...seriesFiles({ genre: ['Comedy'] }), '4/manifest.json': manifest('4', 1), '5/Image01.webp': '' };
+    
+    const lenient = runCli(files, ['validate', '--json']);
+    assert.equal(lenient.status, 0);
+    assert.deepEqual(lenient.report.errors, []);
+    assert.ok(lenient.report.warnings.includes('Gap(s) in chapter sequence: 3'));
+    assert.ok(lenient.report.warnings.includes('5: manifest.json is missing'));
+    
+    assert.equal(runCli(files, ['validate', '--strict', '--json']).status, 1);
+});